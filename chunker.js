@@ -2,10 +2,14 @@
 
 const { Command } = require('commander');
 const inquirer = require('inquirer');
-const ffmpeg = require('fluent-ffmpeg');
+const os = require('os');
 const path = require('path');
 const fs = require('fs');
 const chalk = require('chalk');
+const { chunk, toHLS, isHLSMode, validateOptions, defaultKeyDir, normalizeExtension, DEFAULT_OPTIONS, VIDEO_CODECS, VIDEO_EXTENSIONS, AUDIO_EXTENSIONS, version } = require('./lib/chunkify');
+const { watchFolder, QUEUE_FILE } = require('./lib/watch');
+const { createJobServer } = require('./lib/server');
+const { createPreviewServer } = require('./lib/preview');
 
 // --- IELTS2GO Branding & Constants ---
 const BRAND = {
@@ -13,9 +17,31 @@ const BRAND = {
   tagline: 'Empowering Your English Journey'
 };
 
+// Config files holding named profiles, looked up in the working directory and then the home directory
+const CONFIG_FILES = ['.chunkifyrc', 'chunkify.config.json'];
+
+// Options a profile may not set, because they select or write profiles or only make sense for one run
+const PROFILE_EXCLUDED = ['help', 'version', 'profile', 'saveProfile', 'resume', 'serve'];
+
+// Port the preview server tries first; when it is taken and no --port was given, the next free one is used
+const PREVIEW_PORT = 8080;
+const PREVIEW_PORT_ATTEMPTS = 10;
+
+// Options that choose the processing mode or chunk boundaries; a choice on the command
+// line replaces the profile's whole group so the two never conflict
+const MODE_OPTIONS = ['fast', 'encode', 'format', 'videoCodec', 'hls', 'hlsLadder', 'dash', 'audio', 'audioFormat', 'audioBitrate'];
+const BOUNDARY_OPTIONS = ['splitAt', 'chapters', 'cueFile', 'smart', 'keyframes'];
+
 // --- Styled Console Output ---
+// Informational output is muted by --silent; errors and warnings always print.
+let quiet = false;
+
+const say = (fn) => (...args) => {
+  if (!quiet) fn(...args);
+};
+
 const log = {
-  brand: () => {
+  brand: say(() => {
     console.log(chalk.bold.blue(`
 ╔═══════════════════════════════════════════════════════════════════════════╗
 ║                                                                           ║
@@ -30,18 +56,18 @@ const log = {
 ║                                                                           ║
 ╚═══════════════════════════════════════════════════════════════════════════╝
 `));
-  },
+  }),
   
-  info: (message) => console.log(chalk.blue('ℹ'), message),
-  success: (message) => console.log(chalk.green('✅'), message),
+  info: say((message) => console.log(chalk.blue('ℹ'), message)),
+  success: say((message) => console.log(chalk.green('✅'), message)),
   error: (message) => console.log(chalk.red('❌'), message),
   warning: (message) => console.log(chalk.yellow('⚠️'), message),
-  progress: (message) => console.log(chalk.yellow('🎬'), message),
-  folder: (message) => console.log(chalk.green('📂'), message),
+  progress: say((message) => console.log(chalk.yellow('🎬'), message)),
+  folder: say((message) => console.log(chalk.green('📂'), message)),
   
-  divider: () => console.log(chalk.gray('─'.repeat(75))),
+  divider: say(() => console.log(chalk.gray('─'.repeat(75)))),
   
-  step: (current, total, message) => {
+  step: say((current, total, message) => {
     const progress = `[${current}/${total}]`;
     const percentage = Math.round((current / total) * 100);
     const progressBar = '█'.repeat(Math.floor(percentage / 5)) + '░'.repeat(20 - Math.floor(percentage / 5));
@@ -52,82 +78,572 @@ const log = {
       chalk.gray(`[${progressBar}]`),
       message
     );
-  }
+  }),
+  
+  // Redraws a single progress line in place
+  bar: say((label, percent, message) => {
+    const rounded = Math.max(0, Math.min(100, Math.round(percent)));
+    const progressBar = '█'.repeat(Math.floor(rounded / 5)) + '░'.repeat(20 - Math.floor(rounded / 5));
+    const clearRest = process.stdout.isTTY ? '\x1b[K' : '';
+    process.stdout.write(`\r${chalk.blue(label)} ${chalk.green(`${rounded}%`)} ${chalk.gray(`[${progressBar}]`)} ${message}${clearRest}`);
+  })
 };
 
 // --- Enhanced Program Setup ---
+// Set by the action of the command line's (sub)command
+let selectedCommand = null;
+
 const program = new Command();
 program
   .name('ielts2go-chunker')
   .description(`${chalk.blue('IELTS2GO Video Chunker')} - Professional video splitting tool for educational content`)
-  .version('2.1.0')
-  .argument('<input-file>', 'Path to the source video file')
-  .option('-d, --directory <dir>', 'Output directory for chunks', 'ielts2go_chunks')
-  .option('-l, --length <seconds>', 'Duration of each chunk in seconds', '60')
-  .option('-p, --prefix <prefix>', 'Prefix for output files', 'ielts2go_chunk')
-  .option('-q, --quality <preset>', 'Video quality preset (ultrafast, superfast, veryfast, faster, fast, medium, slow, slower, veryslow)', 'fast')
+  .version(version)
+  .argument('<inputs...>', 'Source video or audio files, directories of them or glob patterns (e.g. "lectures/*.mp4")')
+  .option('-d, --directory <dir>', 'Output directory for chunks', DEFAULT_OPTIONS.directory)
+  .option('-l, --length <seconds>', 'Duration of each chunk in seconds', String(DEFAULT_OPTIONS.length))
+  .option('-p, --prefix <prefix>', 'Prefix for output files', DEFAULT_OPTIONS.prefix)
+  .option('-q, --quality <preset>', 'Video quality preset (ultrafast, superfast, veryfast, faster, fast, medium, slow, slower, veryslow)', DEFAULT_OPTIONS.quality)
+  .option('-f, --fast', 'Use fast mode (stream copy without re-encoding)')
+  .option('-e, --encode', 'Use re-encode mode')
+  .option('--format <ext>', 'Output format for re-encode mode (mp4, mkv, avi, mov or a custom extension)')
+  .option('--split-at <times>', 'Split at explicit timestamps instead of a fixed length (e.g. 00:01:30,00:05:10)')
+  .option('--chapters', 'Split at the chapter markers stored in the source file')
+  .option('--cue-file <file>', 'Split into the sections listed in a CSV or JSON cue file (start, end, title)')
+  .option('--start <time>', 'Use the source from this time on (seconds, MM:SS or HH:MM:SS)')
+  .option('--end <time>', 'Use the source up to this time')
+  .option('--exclude <ranges>', 'Leave out parts of the source (e.g. 10:00-12:30,40:00-41:15)')
+  .option('-s, --smart', 'Move each chunk boundary into the nearest silence so chunks never cut mid-sentence')
+  .option('--silence-threshold <dB>', 'Audio level below which --smart counts as silence', String(DEFAULT_OPTIONS.silenceThreshold))
+  .option('--silence-duration <seconds>', 'Minimum length of a silence for --smart', String(DEFAULT_OPTIONS.silenceDuration))
+  .option('--smart-window <seconds>', 'How far --smart may move a boundary from its nominal time', String(DEFAULT_OPTIONS.smartWindow))
+  .option('-k, --keyframes', 'Align chunk boundaries to source keyframes (exact, gap-free cuts in fast mode)')
+  .option('--subtitles <file>', 'Subtitles (.srt or .vtt) to split with the chunks or add to HLS; without it, embedded text subtitles are used')
+  .option('--no-subtitles', 'Ignore subtitle streams embedded in the source')
+  .option('--video-codec <codec>', `Video codec for re-encode mode: x264, x265, vp9 or av1 (default: ${DEFAULT_OPTIONS.videoCodec})`)
+  .option('--crf <n>', 'Constant quality for re-encode mode; lower is better (default: 23 x264, 28 x265, 32 vp9, 30 av1)')
+  .option('--video-bitrate <kbps>', 'Target video bitrate for re-encode mode instead of --crf')
+  .option('--maxrate <kbps>', 'Cap the video bitrate in re-encode mode (for --crf or --video-bitrate)')
+  .option('--bufsize <kbps>', 'Rate control buffer for --maxrate (default: twice --maxrate)')
+  .option('--scale <size>', 'Downscale in re-encode mode to a height (720) or into a box (1280x720), keeping the aspect ratio; never upscales')
+  .option('--crop <w:h[:x:y]>', 'Crop in re-encode mode to width:height, centred unless x:y is given (source pixels, before --scale)')
+  .option('--fps <rate>', 'Output frame rate for re-encode mode (e.g. 25, 29.97 or 30000/1001)')
+  .option('--audio', 'Audio-only output: chunked MP3/AAC/Opus files, or with --hls audio-only renditions')
+  .option('--audio-format <format>', `Audio chunk format for --audio: mp3, aac or opus (default: ${DEFAULT_OPTIONS.audioFormat})`)
+  .option('--audio-bitrate <kbps>', `Audio bitrate for --audio (default: ${DEFAULT_OPTIONS.audioBitrate})`)
+  .option('--loudnorm', 'Normalize loudness (EBU R128) with one gain for the whole source, so every chunk plays at the same volume')
+  .option('--loudness-target <LUFS>', 'Integrated loudness --loudnorm aims for', String(DEFAULT_OPTIONS.loudnessTarget))
+  .option('--thumbnails', 'Write a poster frame for every chunk; with --hls, sprite sheets and a WebVTT track for seek previews')
+  .option('--watermark <image>', 'Overlay a logo image (e.g. a transparent PNG) on the video in re-encode and HLS mode')
+  .option('--watermark-position <position>', `Corner for --watermark: top-left, top-right, bottom-left, bottom-right or center (default: ${DEFAULT_OPTIONS.watermarkPosition})`)
+  .option('--watermark-margin <px>', `Distance of the watermark from the edges in pixels (default: ${DEFAULT_OPTIONS.watermarkMargin})`)
+  .option('--watermark-opacity <0-1>', `Opacity of the watermark (default: ${DEFAULT_OPTIONS.watermarkOpacity})`)
+  .option('--watermark-scale <fraction>', `Watermark width as a fraction of the video width (default: ${DEFAULT_OPTIONS.watermarkScale})`)
+  .option('--intro <clip>', 'Prepend a clip to every chunk, or to the HLS stream, scaled and resampled to match the video')
+  .option('--outro <clip>', 'Append a clip to every chunk, or to the HLS stream, scaled and resampled to match the video')
   .option('--hls', 'Generate HTTP Live Streaming (HLS) output')
-  .option('--hls-segment <seconds>', 'HLS segment length in seconds', '4')
-  .option('--hls-type <type>', 'HLS playlist type (vod, live)', 'vod')
+  .option('--hls-segment <seconds>', 'HLS segment length in seconds', String(DEFAULT_OPTIONS.hlsSegment))
+  .option('--hls-type <type>', 'HLS playlist type (vod, live)', DEFAULT_OPTIONS.hlsType)
+  .option('--hls-segment-type <type>', 'HLS segment container (mpegts, fmp4; default: mpegts, always fmp4 with --dash)')
+  .option('--dash', 'Write CMAF (fMP4) segments with both a DASH manifest and HLS playlists')
+  .option('--hls-encrypt', 'Encrypt HLS segments with AES-128')
+  .option('--hls-key-file <file>', 'Use this AES-128 key (16 raw bytes, or hex key and optional hex IV on separate lines) instead of a random one')
+  .option('--hls-key-uri <uri>', 'URI players fetch keys from; {key} is replaced by the key file name', DEFAULT_OPTIONS.hlsKeyUri)
+  .option('--hls-key-dir <dir>', 'Where key files are written (must be outside the output directory)')
+  .option('--hls-key-rotate <segments>', 'Switch to a new random key about every N segments (approximate, follows encoding progress)')
+  .option('--hls-ladder <rungs>', 'Adaptive bitrate HLS: comma-separated heights (e.g. 1080,720,480,360) or a ladder JSON file')
+  .option('--hls-player <source>', 'Where player.html loads hls.js from: cdn, bundle (a copy next to the player, works offline) or inline (default: cdn)')
+  .option('--serve', `After HLS or DASH output is written, serve it on http://127.0.0.1:${PREVIEW_PORT} to try the player`)
+  .option('-j, --jobs <n>', 'Number of chunks to process at once in per-chunk mode', String(DEFAULT_OPTIONS.jobs))
+  .option('--resume', 'Continue an interrupted or failed run, redoing only chunks that are missing or corrupt')
+  .option('--no-single-pass', 'Run one ffmpeg process per chunk instead of a single segmenting pass')
   .option('--no-progress', 'Disable progress indicators')
+  .option('--silent', 'Disable progress and informational output (errors and warnings still print)')
+  .option('-y, --yes', 'Never prompt; use defaults for anything not given on the command line')
+  .option('--profile <name>', `Apply a named profile from ${CONFIG_FILES.join(' or ')} (command line options win)`)
+  .option('--save-profile <name>', 'Save the settings of this run, including interactive answers, as a named profile')
   .addHelpText('after', `
 ${chalk.green('Examples:')}
   $ ielts2go-chunker video.mp4
+  $ ielts2go-chunker lectures/ --encode -y
+  $ ielts2go-chunker "recordings/**/*.mov" intro.mp4 --fast
   $ ielts2go-chunker video.mp4 -d output -l 120 -p lesson
   $ ielts2go-chunker video.mp4 --quality medium --prefix speaking_practice
+  $ ielts2go-chunker video.mp4 --encode --format mkv --silent
+  $ ielts2go-chunker video.mp4 --fast --keyframes -l 45
+  $ ielts2go-chunker video.mp4 --encode --jobs 4
+  $ ielts2go-chunker video.mp4 --encode --resume
+  $ ielts2go-chunker video.mp4 --smart --smart-window 8
+  $ ielts2go-chunker video.mp4 --split-at 00:01:30,00:05:10
+  $ ielts2go-chunker video.mp4 --cue-file sections.csv
+  $ ielts2go-chunker zoom.mp4 --start 3:00 --end 48:30 --exclude 20:00-22:15
+  $ ielts2go-chunker video.mp4 --subtitles transcript.en.srt
   $ ielts2go-chunker video.mp4 --hls --hls-segment 6
+  $ ielts2go-chunker video.mp4 --hls --serve
+  $ ielts2go-chunker video.mp4 --hls --hls-player bundle
+  $ ielts2go-chunker video.mp4 --hls --hls-ladder 1080,720,480,360
+  $ ielts2go-chunker video.mp4 --hls --hls-segment-type fmp4
+  $ ielts2go-chunker video.mp4 --dash --hls-ladder 720,480
+  $ ielts2go-chunker video.mp4 --hls --hls-encrypt --hls-key-uri https://api.example.com/keys/{key}
+  $ ielts2go-chunker video.mp4 --profile speaking-clips
+  $ ielts2go-chunker video.mp4 --save-profile lecture-hls
+  $ ielts2go-chunker watch ./incoming --profile lecture-hls
+  $ ielts2go-chunker serve --port 8090 --concurrency 2
+  $ ielts2go-chunker preview chunks
 
 ${chalk.yellow('Output Modes:')}
   • Standard Mode: Creates individual video chunks
   • HLS Mode: Creates HTTP Live Streaming files (.m3u8 playlist and .ts segments) for web streaming
+  • DASH Mode: Creates CMAF segments served by both a DASH .mpd manifest and HLS playlists from one encode
 
 ${chalk.yellow('Tips:')}
   • Use shorter chunks (30-60s) for better learning engagement
   • Higher quality presets take longer but produce better results
+  • --smart keeps sentences whole for listening and speaking practice
+  • --chapters, --split-at and --cue-file name each chunk after its section title
+  • --start, --end and --exclude trim a recording without editing it first; chunk times are kept for both the source and the trimmed output
+  • Each chunk gets its own subtitle file starting at 0:00; HLS output gets WebVTT captions learners can turn on
+  • In fast mode, --keyframes cuts each chunk exactly on a keyframe so chunks line up without gaps
   • For HLS streaming, 4-6 second segments provide good balance of quality and latency
-  • The HLS output includes an HTML player for easy viewing
+  • Encryption keys are written next to the output directory, never inside it, so publishing the output never publishes the keys
+  • --hls-ladder never upscales: rungs above the source resolution are skipped
+  • The HLS output includes an HTML player for easy viewing; "preview <dir>" or --serve plays it without installing a web server
+  • Re-running with the same settings on an unchanged source does nothing; --resume picks up after Ctrl+C or a failure
+  • Several inputs are processed as a batch: settings are asked once and each source gets its own subfolder
+  • Prompts are skipped with --fast, --encode, --hls or --yes, and whenever stdin is not a terminal
+  • Profiles keep recurring recipes; options given on the command line override the profile
+  • "watch <dir>" processes every new upload in a folder and moves it to done/ or failed/
+  • "serve" takes jobs over a local REST API and streams their progress as Server-Sent Events
 
 ${chalk.gray('Built with ❤️ by IELTS2GO - Empowering Your English Journey')}
-`);
+`)
+  .action(() => {
+    selectedCommand = { name: 'run' };
+  });
+
+program
+  .command('watch <dir>')
+  .description('Watch a folder and process every new video once it has been fully written')
+  .option('--interval <seconds>', 'How often the folder is checked for new files', '5')
+  .option('--stable-time <seconds>', 'How long a file must keep the same size and time before it is processed', '10')
+  .addHelpText('after', `
+Processing options (--profile, -d, --encode, --hls, ...) are the same as for a normal run.
+Processed sources are moved to done/ or failed/ inside the watched folder, and the queue
+is kept in ${QUEUE_FILE} there so a restart neither repeats nor loses a file.
+
+${chalk.green('Examples:')}
+  $ ielts2go-chunker watch ./incoming --profile speaking-clips
+  $ ielts2go-chunker watch /mnt/uploads -d /srv/published --hls --stable-time 30
+`)
+  .action((dir, watchOptions) => {
+    selectedCommand = { name: 'watch', dir, options: watchOptions };
+  });
+
+program
+  .command('serve')
+  .description('Run a local HTTP job server for chunking and HLS jobs')
+  .option('--port <n>', 'Port to listen on', '8090')
+  .option('--host <address>', 'Address to listen on (keep 127.0.0.1 unless the network is trusted)', '127.0.0.1')
+  .option('--concurrency <n>', 'How many jobs run at once; the rest wait in a queue', '1')
+  .addHelpText('after', `
+Jobs without a "directory" option write to a folder named after the job id in the
+output directory (-d).
+
+${chalk.green('Endpoints:')}
+  GET  /jobs               List jobs
+  POST /jobs               Submit { "input": "lecture.mp4", "type": "chunk" | "hls", "options": { ... } }
+  GET  /jobs/:id           Status, progress and recent log lines
+  POST /jobs/:id/cancel    Cancel a queued or running job
+  GET  /jobs/:id/outputs   Files written by a complete job
+  GET  /jobs/:id/events    Server-Sent Events: status, log, progress, chunk
+
+${chalk.green('Examples:')}
+  $ ielts2go-chunker serve -d /srv/chunks --concurrency 2
+  $ curl -X POST localhost:8090/jobs -d '{"input": "lecture.mp4", "options": {"encode": true}}'
+  $ curl -N localhost:8090/jobs/<id>/events
+`)
+  .action((serveOptions) => {
+    selectedCommand = { name: 'serve', options: serveOptions };
+  });
+
+program
+  .command('preview <dir>')
+  .description('Serve an HLS or DASH output folder locally so player.html plays in a browser')
+  .option('--port <n>', `Port to listen on (default: ${PREVIEW_PORT}, or the next free port)`)
+  .option('--host <address>', 'Address to listen on (keep 127.0.0.1 unless the network is trusted)', '127.0.0.1')
+  .addHelpText('after', `
+Playlists, segments and manifests are sent with the content types players expect,
+with byte-range support and CORS headers, so other pages may load the stream too.
+
+${chalk.green('Examples:')}
+  $ ielts2go-chunker preview chunks
+  $ ielts2go-chunker preview /srv/published/lecture --port 9000
+`)
+  .action((dir, previewOptions) => {
+    selectedCommand = { name: 'preview', dir, options: previewOptions };
+  });
 
 program.parse(process.argv);
+applyProfile();
 
-const inputFile = program.args[0];
 const options = program.opts();
-const outputDir = options.directory;
-const chunkLength = parseInt(options.length, 10);
-const filePrefix = options.prefix;
-const qualityPreset = options.quality;
-const showProgress = options.progress;
+const baseOutputDir = options.directory;
+
+// The first source, named in the fast mode message; batches run every source with the same options
+let inputFile = program.args[0];
+const showProgress = options.progress && !options.silent;
+// The watcher runs unattended, so it never prompts
+const interactive = selectedCommand.name !== 'watch' && !options.yes && Boolean(process.stdin.isTTY);
+
+// Run of the source being processed, the folder watcher and the job server, so
+// an interrupt can cancel them and record progress
+let currentTask = null;
+let currentWatcher = null;
+let currentServer = null;
+let currentPreview = null;
+
+// Stage of the progress line on screen, if any, so log lines never run into it
+let progressLine = null;
+
+quiet = Boolean(options.silent);
 
 /**
- * Validates input parameters and environment
+ * Validates input parameters before anything is prompted or processed
  */
 function validateInput() {
-  if (!inputFile) {
+  if (program.args.length === 0) {
     log.error('No input file specified. Use --help for usage information.');
     process.exit(1);
   }
 
-  if (!fs.existsSync(inputFile)) {
-    log.error(`Input file not found: "${inputFile}"`);
-    log.info('Please check the file path and try again.');
+  // Warnings are reported by each run; only errors stop the CLI here
+  try {
+    validateOptions(options, { modePending: interactive });
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Expands the input arguments into source files. Directories contribute the
+ * video and audio files directly inside them and glob patterns are matched here so they
+ * also work when the shell does not expand them. Arguments that match nothing
+ * are returned in `missing`.
+ */
+function expandInputs(args) {
+  const files = [];
+  const missing = [];
+
+  for (const arg of args) {
+    let found;
+    if (fs.existsSync(arg) && fs.statSync(arg).isDirectory()) {
+      found = fs.readdirSync(arg)
+        .sort()
+        .map(name => path.join(arg, name))
+        .filter(file => fs.statSync(file).isFile() && isMediaFile(file));
+    } else if (fs.existsSync(arg)) {
+      found = [arg];
+    } else if (/[*?[]/.test(arg)) {
+      found = expandGlob(arg).filter(isMediaFile);
+    } else {
+      found = [];
+    }
+
+    if (found.length === 0) {
+      missing.push(arg);
+    }
+    files.push(...found);
+  }
+
+  // The same file can be reached through several arguments
+  const seen = new Set();
+  const unique = files.filter(file => {
+    const resolved = path.resolve(file);
+    if (seen.has(resolved)) return false;
+    seen.add(resolved);
+    return true;
+  });
+
+  return { files: unique, missing };
+}
+
+/**
+ * True for files with one of the VIDEO_EXTENSIONS or AUDIO_EXTENSIONS
+ */
+function isMediaFile(file) {
+  const extension = path.extname(file).slice(1).toLowerCase();
+  return VIDEO_EXTENSIONS.includes(extension) || AUDIO_EXTENSIONS.includes(extension);
+}
+
+/**
+ * Matches a glob pattern against the file system. Supports *, ?, [...] within a
+ * path segment and ** for any number of directories.
+ */
+function expandGlob(pattern) {
+  const root = path.parse(pattern).root;
+  const segments = pattern.slice(root.length).split(/[\\/]+/).filter(Boolean);
+  let matches = [root || '.'];
+
+  const isDirectory = (candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isDirectory();
+  const subdirectories = (dir) => fs.readdirSync(dir)
+    .map(name => path.join(dir, name))
+    .filter(isDirectory)
+    .flatMap(child => [child, ...subdirectories(child)]);
+
+  for (const segment of segments) {
+    if (segment === '**') {
+      matches = matches.filter(isDirectory).flatMap(dir => [dir, ...subdirectories(dir)]);
+    } else if (/[*?[]/.test(segment)) {
+      const regex = new RegExp(`^${segment
+        .replace(/[.+^${}()|\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.')}$`);
+      matches = matches.filter(isDirectory).flatMap(dir => fs.readdirSync(dir)
+        .filter(name => regex.test(name) && (segment.startsWith('.') || !name.startsWith('.')))
+        .map(name => path.join(dir, name)));
+    } else {
+      matches = matches.map(dir => path.join(dir, segment)).filter(candidate => fs.existsSync(candidate));
+    }
+  }
+
+  return matches.filter(candidate => fs.statSync(candidate).isFile()).sort();
+}
+
+/**
+ * Output directory for one source of a batch: a subfolder named after the
+ * source, with a numeric suffix when two sources share a name
+ */
+function batchOutputDir(source, usedDirs) {
+  const name = path.parse(source).name.replace(/[^\w.-]+/g, '_');
+  let candidate = path.join(baseOutputDir, name);
+  for (let n = 2; usedDirs.has(candidate); n++) {
+    candidate = path.join(baseOutputDir, `${name}_${n}`);
+  }
+  usedDirs.add(candidate);
+  return candidate;
+}
+
+/**
+ * Path of the first config file found in the working directory or the home directory, or null
+ */
+function findConfigFile() {
+  for (const dir of [process.cwd(), os.homedir()]) {
+    const found = CONFIG_FILES.map(name => path.join(dir, name)).find(file => fs.existsSync(file));
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads a config file: a JSON object with named profiles under "profiles"
+ */
+function readConfigFile(configPath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read ${configPath}: ${err.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${configPath} must contain a JSON object with a "profiles" object`);
+  }
+  return { ...config, profiles: config.profiles || {} };
+}
+
+/**
+ * Applies the --profile settings beneath the command line: a profile value is
+ * only used for options not given on the command line, so the order is
+ * command line, then profile, then defaults. Keys are option names in
+ * camelCase or as their long flag (e.g. "hlsSegment" or "hls-segment").
+ */
+function applyProfile() {
+  const name = program.opts().profile;
+  if (name === undefined) {
+    return;
+  }
+
+  const configPath = findConfigFile();
+  if (!configPath) {
+    log.error(`--profile needs a config file: create ${CONFIG_FILES.join(' or ')} in this folder or your home folder`);
     process.exit(1);
   }
 
-  if (chunkLength <= 0) {
-    log.error('Chunk length must be greater than 0 seconds.');
+  let profile;
+  try {
+    profile = readConfigFile(configPath).profiles[name];
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+  if (!profile || typeof profile !== 'object') {
+    log.error(`Profile "${name}" not found in ${configPath}`);
     process.exit(1);
   }
 
-  const validPresets = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
-  if (!validPresets.includes(qualityPreset)) {
-    log.warning(`Invalid quality preset: "${qualityPreset}". Using "fast" instead.`);
+  // An option with a value may share its name with a --no- flag (--subtitles, --no-subtitles)
+  const known = new Map();
+  program.options
+    .filter(option => !PROFILE_EXCLUDED.includes(option.attributeName()))
+    .forEach(option => known.set(option.attributeName(), [...(known.get(option.attributeName()) || []), option]));
+  const fromCli = (key) => program.getOptionValueSource(key) === 'cli';
+  const cliMode = MODE_OPTIONS.some(fromCli);
+  const cliHls = ['hls', 'hlsLadder', 'dash'].some(fromCli);
+  const cliBoundary = BOUNDARY_OPTIONS.some(fromCli);
+
+  for (const [rawKey, value] of Object.entries(profile)) {
+    const key = rawKey.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    const candidates = known.get(key);
+    const option = candidates && (candidates.find(candidate => (typeof value === 'boolean') === (!candidate.required && !candidate.optional)) || candidates[0]);
+    if (!option) {
+      log.error(`Unknown option "${rawKey}" in profile "${name}" (${configPath})`);
+      process.exit(1);
+    }
+
+    const isFlag = !option.required && !option.optional;
+    if (isFlag ? typeof value !== 'boolean' : !['string', 'number'].includes(typeof value) && !Array.isArray(value)) {
+      log.error(`Profile "${name}": "${rawKey}" must be ${isFlag ? 'true or false' : 'a value'}`);
+      process.exit(1);
+    }
+
+    // A mode or boundary chosen on the command line replaces the profile's choice, and a
+    // non-HLS mode also drops the profile's HLS settings
+    const overridden = fromCli(key)
+      || (cliMode && (MODE_OPTIONS.includes(key) || (!cliHls && /^(hls|dash)/.test(key))))
+      || (cliBoundary && BOUNDARY_OPTIONS.includes(key));
+    if (!overridden) {
+      const optionValue = isFlag ? value : Array.isArray(value) ? value.join(',') : String(value);
+      program.setOptionValueWithSource(key, optionValue, 'config');
+    }
+  }
+}
+
+/**
+ * The options selecting the mode of a run, so interactive answers can be saved in a profile
+ */
+function modeOptions(runOptions) {
+  if (isHLSMode(runOptions)) {
+    return {
+      [runOptions.dash ? 'dash' : 'hls']: true,
+      hlsSegment: Number(runOptions.hlsSegment),
+      hlsType: runOptions.hlsType,
+      ...(!runOptions.dash && { hlsSegmentType: runOptions.hlsSegmentType || 'mpegts' }),
+      ...(runOptions.hlsLadder !== undefined && { hlsLadder: runOptions.hlsLadder }),
+      ...(runOptions.audio && { audio: true, audioBitrate: Number(runOptions.audioBitrate ?? DEFAULT_OPTIONS.audioBitrate) })
+    };
+  }
+  if (runOptions.audio) {
+    return {
+      audio: true,
+      audioFormat: runOptions.audioFormat ?? DEFAULT_OPTIONS.audioFormat,
+      audioBitrate: Number(runOptions.audioBitrate ?? DEFAULT_OPTIONS.audioBitrate)
+    };
+  }
+  if (runOptions.encode || runOptions.format !== undefined) {
+    return {
+      encode: true,
+      format: normalizeExtension(runOptions.format ?? 'mp4'),
+      ...(runOptions.videoCodec !== undefined && { videoCodec: runOptions.videoCodec })
+    };
+  }
+  return { fast: true };
+}
+
+/**
+ * Saves the settings of this run as a named profile: every option given on the
+ * command line or taken from --profile, plus the mode it runs in.
+ * Writes to the config file in use, or creates chunkify.config.json here.
+ */
+function saveProfile(name, runOptions) {
+  const configPath = findConfigFile() || path.join(process.cwd(), 'chunkify.config.json');
+  const config = fs.existsSync(configPath) ? readConfigFile(configPath) : { profiles: {} };
+
+  const profile = {};
+  for (const option of program.options) {
+    const key = option.attributeName();
+    const source = program.getOptionValueSource(key);
+    if (!PROFILE_EXCLUDED.includes(key) && !MODE_OPTIONS.includes(key) && !/^(hls|dash)/.test(key)
+      && (source === 'cli' || source === 'config')) {
+      // Numbers given on the command line are saved as numbers
+      profile[key] = /^-?\d+(\.\d+)?$/.test(options[key]) ? Number(options[key]) : options[key];
+    }
+  }
+  if (isHLSMode(runOptions)) {
+    ['hlsEncrypt', 'hlsKeyFile', 'hlsKeyUri', 'hlsKeyDir', 'hlsKeyRotate', 'hlsPlayer']
+      .filter(key => runOptions[key] !== undefined && program.getOptionValueSource(key) !== 'default')
+      .forEach((key) => { profile[key] = runOptions[key]; });
+  }
+  Object.assign(profile, modeOptions(runOptions));
+
+  config.profiles[name] = profile;
+  fs.writeFileSync(configPath, `${JSON.stringify(config, null, 2)}\n`);
+  log.success(`Profile "${name}" saved to ${configPath}`);
+}
+
+/**
+ * Options for the processing mode: none when the command line chose one,
+ * otherwise the interactive answers (or fast mode when prompts are disabled)
+ */
+async function resolveModeOptions() {
+  if (isHLSMode(options)) {
+    log.info(`${options.audio ? 'Audio-only ' : ''}${options.dash ? 'DASH + HLS' : 'HLS'} mode selected via command line options`);
+    return {};
+  }
+
+  if (options.audio) {
+    const format = options.audioFormat ?? DEFAULT_OPTIONS.audioFormat;
+    log.info(`Audio mode selected via command line options - output format: ${format.toUpperCase()} at ${options.audioBitrate ?? DEFAULT_OPTIONS.audioBitrate} kbps`);
+    return {};
+  }
+
+  if (options.encode || options.format !== undefined) {
+    const extension = options.format !== undefined ? normalizeExtension(options.format) : 'mp4';
+    log.info(`Re-encode mode selected via command line options - output format: ${extension.toUpperCase()}, video codec: ${options.videoCodec ?? DEFAULT_OPTIONS.videoCodec}`);
+    return {};
+  }
+
+  if (options.fast) {
+    return getCopyOptions();
+  }
+
+  if (!interactive) {
+    log.info('No processing mode given and prompts are disabled - using fast mode.');
+    return getCopyOptions();
+  }
+
+  // Interactive setup; encryption given up front only applies if HLS was chosen
+  const chosen = await setupOutput();
+  return isHLSMode(chosen) && !chosen.dash ? chosen : { ...chosen, ...withoutEncryption() };
+}
+
+/**
+ * Options for fast mode, which keeps the original container
+ */
+function getCopyOptions() {
+  if (program.args.length > 1) {
+    log.info('Fast mode selected - keeping the original format of each source');
+  } else {
+    const originalExtension = path.extname(inputFile).slice(1).toLowerCase() || 'mp4';
+    log.info(`Fast mode selected - keeping original format: ${originalExtension.toUpperCase()}`);
+  }
+  
+  return { fast: true };
+}
+
+/**
+ * Clears encryption options the chosen mode cannot use, warning when any were given
+ */
+function withoutEncryption() {
+  const given = ['hlsEncrypt', 'hlsKeyFile', 'hlsKeyDir', 'hlsKeyRotate'].filter(key => options[key] !== undefined);
+  if (given.length > 0) {
+    log.warning('HLS encryption needs HLS output with MPEG-TS or fMP4 segments - continuing without encryption.');
   }
+  return Object.fromEntries(given.map(key => [key, undefined]));
 }
 
 /**
- * Interactive setup for output format
+ * Interactive setup for output format; returns the options for the chosen mode
  */
 async function setupOutput() {
   log.divider();
@@ -141,7 +657,8 @@ async function setupOutput() {
       choices: [
         { name: 'Fast Mode (Stream Copy - Recommended)', value: 'copy' },
         { name: 'Re-encode Mode (Slower but consistent quality)', value: 'encode' },
-        { name: 'HLS Streaming (HTTP Live Streaming)', value: 'hls' }
+        { name: 'HLS Streaming (HTTP Live Streaming)', value: 'hls' },
+        { name: 'Audio Only (MP3/AAC/Opus for listening practice)', value: 'audio' }
       ],
       default: 'copy'
     }
@@ -150,6 +667,25 @@ async function setupOutput() {
   const answers = await inquirer.prompt(questions);
   
   if (answers.mode === 'encode') {
+    // A codec given on the command line is not asked again, and only formats it fits are offered
+    const codecQuestion = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'videoCodec',
+        message: 'Choose video codec:',
+        choices: [
+          { name: 'H.264 / x264 (Recommended - plays everywhere)', value: 'x264' },
+          { name: 'H.265 / x265 (Smaller files, newer devices)', value: 'x265' },
+          { name: 'VP9 (Open format for browsers, WebM)', value: 'vp9' },
+          { name: 'AV1 (Smallest files, very slow to encode)', value: 'av1' }
+        ],
+        default: DEFAULT_OPTIONS.videoCodec,
+        when: options.videoCodec === undefined
+      }
+    ]);
+    const videoCodec = codecQuestion.videoCodec ?? options.videoCodec;
+    const codecOptions = codecQuestion.videoCodec !== undefined && codecQuestion.videoCodec !== DEFAULT_OPTIONS.videoCodec ? { videoCodec } : {};
+
     const formatQuestion = await inquirer.prompt([
       {
         type: 'list',
@@ -160,8 +696,9 @@ async function setupOutput() {
           { name: 'MKV (High quality, larger file size)', value: 'mkv' },
           { name: 'AVI (Legacy compatibility)', value: 'avi' },
           { name: 'MOV (Apple/QuickTime)', value: 'mov' },
+          { name: 'WebM (VP9 or AV1 for browsers)', value: 'webm' },
           { name: 'Custom format', value: 'custom' }
-        ],
+        ].filter(choice => choice.value === 'custom' || VIDEO_CODECS[videoCodec].containers.includes(choice.value)),
         default: 'mp4'
       }
     ]);
@@ -176,15 +713,53 @@ async function setupOutput() {
             if (!input || input.trim() === '') {
               return 'Please enter a valid extension.';
             }
+            try {
+              validateOptions({ ...options, encode: true, format: input, videoCodec });
+            } catch (error) {
+              return error.message;
+            }
             return true;
           },
-          filter: (input) => input.replace('.', '').toLowerCase().trim()
+          filter: normalizeExtension
         }
       ]);
-      return { mode: 'encode', extension: customFormat.extension };
+      return { encode: true, format: customFormat.extension, ...codecOptions };
     }
     
-    return { mode: 'encode', extension: formatQuestion.extension };
+    return { encode: true, format: formatQuestion.extension, ...codecOptions };
+  } else if (answers.mode === 'audio') {
+    // Values given on the command line are not asked again
+    const audioSettings = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'format',
+        message: 'Choose audio format:',
+        choices: [
+          { name: 'MP3 (Recommended - plays everywhere)', value: 'mp3' },
+          { name: 'AAC (.m4a, smaller files at the same quality)', value: 'aac' },
+          { name: 'Opus (Smallest files, modern players only)', value: 'opus' }
+        ],
+        default: DEFAULT_OPTIONS.audioFormat,
+        when: options.audioFormat === undefined
+      },
+      {
+        type: 'list',
+        name: 'bitrate',
+        message: 'Choose audio bitrate:',
+        choices: [
+          { name: '64 kbps (Speech, smallest files)', value: 64 },
+          { name: '96 kbps', value: 96 },
+          { name: '128 kbps (Recommended)', value: 128 },
+          { name: '192 kbps (Music)', value: 192 }
+        ],
+        default: DEFAULT_OPTIONS.audioBitrate,
+        when: options.audioBitrate === undefined
+      }
+    ]);
+    const audioFormat = audioSettings.format ?? options.audioFormat;
+    const audioBitrate = audioSettings.bitrate ?? Number(options.audioBitrate);
+    log.info(`Audio mode selected - Output will be ${audioFormat.toUpperCase()} files at ${audioBitrate} kbps`);
+    return { audio: true, audioFormat, audioBitrate };
   } else if (answers.mode === 'hls') {
     // HLS-specific settings
     const hlsSettings = await inquirer.prompt([
@@ -209,550 +784,344 @@ async function setupOutput() {
           { name: 'Live - Continuous stream', value: 'live' }
         ],
         default: 'vod'
+      },
+      {
+        type: 'list',
+        name: 'segmentFormat',
+        message: 'Choose segment format:',
+        choices: [
+          { name: 'MPEG-TS (Recommended - widest compatibility)', value: 'mpegts' },
+          { name: 'fMP4/CMAF (Modern players, smaller overhead)', value: 'fmp4' },
+          { name: 'fMP4/CMAF with DASH manifest (Serves HLS and DASH players)', value: 'dash' }
+        ],
+        default: 'mpegts'
+      },
+      {
+        type: 'list',
+        name: 'ladder',
+        message: 'Choose renditions:',
+        choices: [
+          { name: 'Single rendition at the source resolution', value: null },
+          { name: 'Adaptive bitrate ladder - 1080p, 720p, 480p, 360p (Recommended for mobile viewers)', value: '1080,720,480,360' }
+        ],
+        default: null
       }
     ]);
     
-    log.info(`HLS Streaming mode selected - Output will be .m3u8 playlist with .ts segments`);
+    const segmentType = hlsSettings.segmentFormat === 'mpegts' ? 'mpegts' : 'fmp4';
+    if (hlsSettings.segmentFormat === 'dash') {
+      log.info(`DASH + HLS mode selected - Output will be an .mpd manifest and .m3u8 playlists sharing .m4s segments`);
+    } else {
+      log.info(`HLS Streaming mode selected - Output will be .m3u8 playlist with .${segmentType === 'fmp4' ? 'm4s' : 'ts'} segments`);
+    }
+    if (hlsSettings.segmentFormat === 'dash') {
+      return {
+        dash: true,
+        hlsSegment: hlsSettings.segmentLength,
+        hlsType: hlsSettings.playlistType,
+        hlsLadder: hlsSettings.ladder || undefined
+      };
+    }
     return { 
-      mode: 'hls', 
-      extension: 'ts',
-      segmentLength: hlsSettings.segmentLength,
-      playlistType: hlsSettings.playlistType
+      hls: true,
+      hlsSegment: hlsSettings.segmentLength,
+      hlsType: hlsSettings.playlistType,
+      hlsSegmentType: segmentType,
+      hlsLadder: hlsSettings.ladder || undefined
     };
   }
   
   // For copy mode, detect the original format
-  const originalExtension = path.extname(inputFile).slice(1).toLowerCase() || 'mp4';
-  log.info(`Fast mode selected - keeping original format: ${originalExtension.toUpperCase()}`);
-  
-  return { mode: 'copy', extension: originalExtension }; 
+  return getCopyOptions();
 }
 
 /**
- * Gets video metadata using ffprobe
+ * Formats seconds as "1h 05m", "3m 20s" or "45s"
  */
-function getVideoMetadata(inputFile) {
-  return new Promise((resolve, reject) => {
-    ffmpeg.ffprobe(inputFile, (err, metadata) => {
-      if (err) {
-        reject(err);
-        return;
+function formatDuration(seconds) {
+  if (seconds === null || !Number.isFinite(seconds)) {
+    return '--';
+  }
+  const rounded = Math.round(seconds);
+  const hours = Math.floor(rounded / 3600);
+  const minutes = Math.floor((rounded % 3600) / 60);
+  const secs = rounded % 60;
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m ${String(secs).padStart(2, '0')}s`;
+  return `${secs}s`;
+}
+
+/**
+ * Ends the progress line on screen before other output: chunk progress is
+ * cleared, HLS and DASH bars are kept
+ */
+function endProgressLine() {
+  if (progressLine) {
+    process.stdout.write(progressLine === 'chunks' ? '\r\x1b[K' : '\n');
+    progressLine = null;
+  }
+}
+
+/**
+ * Prints a run's log lines and progress. Progress is a line redrawn in place
+ * on a terminal and a plain line every 10 seconds otherwise.
+ */
+function showTaskOutput(task) {
+  const redraw = Boolean(process.stdout.isTTY);
+  const jobs = parseInt(options.jobs, 10);
+  let lastPlainLine = Date.now();
+
+  task.on('log', ({ level, message }) => {
+    endProgressLine();
+    if (level === 'divider') {
+      log.divider();
+    } else {
+      log[level](message);
+    }
+  });
+
+  task.on('progress', (progress) => {
+    if (!showProgress) return;
+
+    let label = `[${progress.stage.toUpperCase()}]`;
+    let detail = progress.message;
+    if (progress.stage === 'chunks') {
+      const current = progress.running.map(chunk => `#${chunk.index} ${Math.round(chunk.percent)}%`).join(', ');
+      label = `[${progress.completed}/${progress.total}]`;
+      detail = `${current ? `${current} | ` : ''}${progress.speed.toFixed(1)}x | ETA ${formatDuration(progress.eta)}`;
+    }
+
+    if (redraw) {
+      log.bar(label, progress.percent, detail);
+      progressLine = progress.stage;
+    } else if (Date.now() - lastPlainLine >= 10000) {
+      lastPlainLine = Date.now();
+      const chunks = progress.stage === 'chunks' ? ` (${progress.completed}/${progress.total} chunks)` : '';
+      log.info(`Progress: ${Math.round(progress.percent)}%${chunks} | ${detail}`);
+    }
+  });
+
+  task.on('chunk', ({ file, status, completed, total }) => {
+    if (!showProgress || status === 'failed') return;
+
+    endProgressLine();
+    if (status === 'started') {
+      if (jobs > 1) {
+        log.progress(`Started ${file}`);
+      } else {
+        log.step(completed + 1, total, `Processing ${file}...`);
       }
-      
-      const duration = metadata.format.duration;
-      const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
-      const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
-      
-      resolve({
-        duration,
-        hasVideo: !!videoStream,
-        hasAudio: !!audioStream,
-        videoCodec: videoStream?.codec_name,
-        audioCodec: audioStream?.codec_name,
-        resolution: videoStream ? `${videoStream.width}x${videoStream.height}` : 'Unknown',
-        bitrate: metadata.format.bit_rate
-      });
-    });
+    } else if (jobs > 1) {
+      log.step(completed, total, `Completed: ${file}`);
+    } else {
+      log.success(`Completed: ${file}`);
+    }
   });
 }
 
 /**
- * Creates output directory with proper structure
+ * Runs one source into its output directory through the library. In a batch,
+ * encryption keys get a folder per source so key names never collide.
  */
-function createOutputDirectory() {
-  if (!fs.existsSync(outputDir)) {
-    log.folder(`Creating output directory: ${outputDir}`);
-    fs.mkdirSync(outputDir, { recursive: true });
+async function processSource(source, runOptions, directory, batch) {
+  const taskOptions = { ...runOptions, directory };
+  const encrypted = runOptions.hlsEncrypt || runOptions.hlsKeyFile !== undefined || runOptions.hlsKeyRotate !== undefined;
+  if (batch && encrypted) {
+    taskOptions.hlsKeyDir = path.join(runOptions.hlsKeyDir || defaultKeyDir(baseOutputDir), path.basename(directory));
+  }
+
+  currentTask = isHLSMode(runOptions) ? toHLS(source, taskOptions) : chunk(source, taskOptions);
+  showTaskOutput(currentTask);
+  try {
+    return await currentTask;
+  } finally {
+    endProgressLine();
+    currentTask = null;
   }
-  
-  // Create metadata file
-  const metadataPath = path.join(outputDir, 'ielts2go_metadata.json');
-  const metadata = {
-    tool: 'IELTS2GO Video Chunker',
-    version: '2.0.0',
-    timestamp: new Date().toISOString(),
-    sourceFile: path.basename(inputFile),
-    chunkLength: chunkLength,
-    qualityPreset: qualityPreset,
-    outputDirectory: outputDir
-  };
-  
-  fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
-  log.success(`Metadata saved to: ${metadataPath}`);
 }
 
 /**
- * Processes video chunks with enhanced progress tracking
+ * Processes several sources with the same settings, continuing past failures
  */
-async function processChunks(totalDuration, outputConfig, metadata) {
-  const { mode, extension } = outputConfig;
-  const startTime = Date.now();
-  
-  // Special handling for HLS mode
-  if (mode === 'hls') {
-    return await processHLSStream(totalDuration, outputConfig, metadata);
+async function processBatch(sources, missing, runOptions) {
+  const results = missing.map(source => ({ source, ok: false, error: 'No such file, or no video or audio files matched', seconds: 0 }));
+  const usedDirs = new Set();
+
+  missing.forEach(source => log.error(`Input not found: "${source}"`));
+  log.info(`Batch of ${sources.length} source(s) - each gets its own folder in ${path.resolve(baseOutputDir)}`);
+
+  for (const [index, source] of sources.entries()) {
+    const outputDir = batchOutputDir(source, usedDirs);
+    const started = Date.now();
+
+    log.divider();
+    log.progress(`[${index + 1}/${sources.length}] ${source}`);
+
+    try {
+      await processSource(source, runOptions, outputDir, true);
+      results.push({ source, ok: true, outputDir, seconds: (Date.now() - started) / 1000 });
+    } catch (error) {
+      log.error(`Failed to process "${source}": ${error.message}`);
+      results.push({ source, ok: false, error: error.message, seconds: (Date.now() - started) / 1000 });
+    }
   }
-  
-  // Standard chunking process for non-HLS modes
-  const numChunks = Math.ceil(totalDuration / chunkLength);
-  
-  log.divider();
-  log.progress(`Starting chunking process:`);
-  log.info(`• Total chunks: ${numChunks}`);
-  log.info(`• Chunk duration: ~${chunkLength} seconds`);
-  log.info(`• Output format: ${extension.toUpperCase()}`);
-  log.info(`• Processing mode: ${mode === 'copy' ? 'Fast (Stream Copy)' : 'Re-encode'}`);
-  if (mode === 'encode') {
-    log.info(`• Quality preset: ${qualityPreset}`);
-  }
-  log.info(`• Video resolution: ${metadata.resolution}`);
+
+  printBatchSummary(results);
+  return results;
+}
+
+/**
+ * Prints one row per source with its outcome
+ */
+function printBatchSummary(results) {
+  const failed = results.filter(result => !result.ok);
+  const nameWidth = Math.min(40, Math.max(6, ...results.map(result => path.basename(result.source).length)));
+  const fit = (text, width) => (text.length > width ? `${text.slice(0, width - 1)}…` : text.padEnd(width));
+
   log.divider();
-  
-  for (let i = 0; i < numChunks; i++) {
-    const chunkStartTime = i * chunkLength;
-    const outputFilename = `${filePrefix}_${String(i + 1).padStart(3, '0')}.${extension}`;
-    const outputPath = path.join(outputDir, outputFilename);
-
-    await new Promise((resolve, reject) => {
-      if (showProgress) {
-        log.step(i + 1, numChunks, `Processing ${outputFilename}...`);
-      }
-      
-      const command = ffmpeg(inputFile)
-        .seekInput(chunkStartTime)
-        .duration(chunkLength);
-
-      if (mode === 'copy') {
-        // Fast mode - copy streams without re-encoding
-        command.outputOptions([
-          '-c', 'copy',
-          '-avoid_negative_ts', 'make_zero'
-        ]);
-      } else {
-        // Re-encode mode - full quality control
-        command.outputOptions([
-          '-c:v libx264',
-          '-preset', qualityPreset,
-          '-c:a aac',
-          '-movflags', '+faststart',
-          '-avoid_negative_ts', 'make_zero'
-        ]);
-      }
-      
-      command.output(outputPath);
-
-      command
-        .on('end', () => {
-          if (showProgress) {
-            log.success(`Completed: ${outputFilename}`);
-          }
-          resolve();
-        })
-        .on('error', (err) => {
-          log.error(`Failed to process chunk ${i + 1}: ${err.message}`);
-          reject(err);
-        })
-        .run();
+  log.progress(`Batch summary: ${results.length - failed.length} succeeded, ${failed.length} failed`);
+  if (!quiet) {
+    console.log(chalk.gray(`  ${'#'.padEnd(4)}${'Source'.padEnd(nameWidth + 2)}${'Status'.padEnd(9)}${'Time'.padEnd(10)}Output / Error`));
+    results.forEach((result, i) => {
+      const status = result.ok ? chalk.green('OK'.padEnd(9)) : chalk.red('FAILED'.padEnd(9));
+      const detail = result.ok ? path.resolve(result.outputDir) : chalk.red(result.error);
+      console.log(`  ${String(i + 1).padEnd(4)}${fit(path.basename(result.source), nameWidth)}  ${status}${formatDuration(result.seconds).padEnd(10)}${detail}`);
     });
   }
-
-  const endTime = Date.now();
-  const totalTime = ((endTime - startTime) / 1000).toFixed(2);
-  
-  log.divider();
-  log.success(`🎉 Processing complete!`);
-  log.info(`• Total processing time: ${totalTime} seconds`);
-  log.info(`• Average time per chunk: ${(totalTime / numChunks).toFixed(2)} seconds`);
-  log.info(`• Speed: ${mode === 'copy' ? '⚡ Ultra Fast' : '🔄 High Quality'}`);
-  log.info(`• Output location: ${path.resolve(outputDir)}`);
   log.divider();
 }
 
 /**
- * Process video into HLS stream format
+ * Shows the FFmpeg installation hint for errors that look like a missing FFmpeg
  */
-async function processHLSStream(totalDuration, outputConfig, metadata) {
-  const { segmentLength, playlistType } = outputConfig;
-  
-  // Create HLS-specific directory structure
-  const hlsDir = path.join(outputDir, 'hls');
-  if (!fs.existsSync(hlsDir)) {
-    fs.mkdirSync(hlsDir, { recursive: true });
+function hintFFmpegInstall(messages) {
+  if (messages.some(message => message.includes('ffmpeg') || message.includes('ffprobe'))) {
+    log.warning('Please ensure FFmpeg is installed and accessible in your system PATH.');
+    log.info('Installation guide: https://ffmpeg.org/download.html');
   }
-  
-  // Setup paths for playlist and segments
-  const playlistPath = path.join(hlsDir, `${filePrefix}.m3u8`);
-  const segmentPattern = path.join(hlsDir, `${filePrefix}_%03d.ts`);
-  
-  log.divider();
-  log.progress(`Starting HLS streaming process:`);
-  log.info(`• Total duration: ${Math.floor(totalDuration)} seconds (${(totalDuration / 60).toFixed(1)} minutes)`);
-  log.info(`• Segment length: ${segmentLength} seconds`);
-  log.info(`• Playlist type: ${playlistType.toUpperCase()}`);
-  log.info(`• Video resolution: ${metadata.resolution}`);
-  log.info(`• Output: ${playlistPath}`);
-  log.divider();
-  
-  return new Promise((resolve, reject) => {
-    try {
-      log.info('Setting up HLS conversion with optimized parameters...');
-      
-      const command = ffmpeg(inputFile);
-      
-      // Use the proven working parameters (previously fallback method)
-      const hlsOptions = [
-        '-c:v', 'libx264',      // Video codec
-        '-preset', 'ultrafast', // Fastest preset for encoding
-        '-tune', 'fastdecode',  // Optimize for fast decoding
-        '-c:a', 'aac',          // Audio codec
-        '-b:a', '96k',          // Lower audio bitrate for speed
-        '-ac', '2',             // Stereo audio
-        '-ar', '44100',         // Standard audio sample rate
-        '-hls_time', segmentLength,
-        '-hls_segment_filename', segmentPattern,
-        '-threads', 'auto',      // Use all available CPU threads
-        '-f', 'hls'             // Format is HLS
-      ];
-      
-      // Add any playlist type if specified
-      if (playlistType && playlistType !== 'none') {
-        hlsOptions.push('-hls_playlist_type', playlistType);
-      }
-      
-      command.outputOptions(hlsOptions);
-      command.output(playlistPath);
-      
-      if (showProgress) {
-        // Show progress during encoding
-        command.on('progress', (progress) => {
-          if (progress.percent) {
-            const percent = Math.round(progress.percent);
-            const progressBar = '█'.repeat(Math.floor(percent / 5)) + '░'.repeat(20 - Math.floor(percent / 5));
-            process.stdout.write(`\r${chalk.blue('[HLS]')} ${chalk.green(`${percent}%`)} ${chalk.gray(`[${progressBar}]`)} Processing...`);
-          }
-        });
-      }
-      
-      command
-        .on('start', (commandLine) => {
-          log.info('FFmpeg command: ' + commandLine);
-        })
-        .on('end', () => {
-          if (showProgress) {
-            console.log(); // New line after progress
-          }
-          log.success(`HLS stream created successfully`);
-          
-          // After successful creation, create the master playlist and HTML player
-          createMasterPlaylist(hlsDir, metadata);
-          
-          resolve();
-        })
-        .on('error', (err) => {
-          log.error(`HLS conversion failed: ${err.message}`);
-          log.warning('Trying with even more basic parameters...');
-          
-          // Try with absolute minimal parameters as last resort
-          tryLastResortHLSConversion(inputFile, playlistPath, segmentPattern)
-            .then(resolve)
-            .catch(reject);
-        })
-        .run();
-    } catch (error) {
-      log.error(`Error setting up HLS conversion: ${error.message}`);
-      reject(error);
-    }
-  });
 }
 
 /**
- * Last resort HLS conversion with absolute minimal parameters
+ * Watches a folder and processes every new video with the options of this
+ * command line until Ctrl+C
  */
-async function tryLastResortHLSConversion(inputFile, playlistPath, segmentPattern) {
-  return new Promise((resolve, reject) => {
-    log.info('Attempting last resort HLS conversion with absolute minimal parameters...');
-    
-    const command = ffmpeg(inputFile);
-    
-    // Absolute minimal HLS options - maximum compatibility
-    command.outputOptions([
-      '-c:v', 'libx264',
-      '-preset', 'ultrafast',
-      '-c:a', 'aac',
-      '-hls_time', 4,
-      '-hls_segment_filename', segmentPattern,
-      '-f', 'hls'
-    ]);
-    
-    command.output(playlistPath);
-    
-    command
-      .on('end', () => {
-        log.success(`HLS stream created successfully with minimal parameters`);
-        createMasterPlaylist(path.dirname(playlistPath), {});
-        resolve();
-      })
-      .on('error', (err) => {
-        log.error(`Last resort HLS conversion failed: ${err.message}`);
-        log.warning('Please ensure FFmpeg is properly installed with libx264 and HLS support');
-        reject(err);
-      })
-      .run();
+async function watch(dir, watchOptions) {
+  log.brand();
+  validateInput();
+
+  // Settings are resolved once, like a batch; without a mode flag or profile, fast mode is used
+  const runOptions = { ...options, ...(await resolveModeOptions()) };
+  try {
+    currentWatcher = watchFolder(dir, { ...runOptions, interval: watchOptions.interval, stableTime: watchOptions.stableTime });
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+
+  currentWatcher.on('log', ({ level, message }) => {
+    endProgressLine();
+    log[level](message);
   });
+
+  currentWatcher.on('task', ({ file, outputDir, task }) => {
+    endProgressLine();
+    log.divider();
+    log.progress(`Processing ${file} into ${path.resolve(outputDir)}`);
+    currentTask = task;
+    showTaskOutput(task);
+    const finish = () => {
+      endProgressLine();
+      currentTask = null;
+    };
+    task.then(finish, finish);
+  });
+
+  currentWatcher.on('failed', ({ error }) => hintFFmpegInstall([error.message]));
 }
 
 /**
- * Creates a master playlist for HLS
+ * Runs the HTTP job server until Ctrl+C
  */
-function createMasterPlaylist(hlsDir, metadata) {
-  const masterPlaylistPath = path.join(outputDir, `${filePrefix}_master.m3u8`);
-  
-  // Simple master playlist pointing to the variant
-  const masterPlaylistContent = `#EXTM3U
-#EXT-X-VERSION:3
-#EXT-X-STREAM-INF:BANDWIDTH=2800000,RESOLUTION=${metadata.resolution || '1280x720'}
-hls/${filePrefix}.m3u8
-`;
-  
-  fs.writeFileSync(masterPlaylistPath, masterPlaylistContent);
-  log.success(`Master playlist created: ${masterPlaylistPath}`);
-  
-  // Create the HTML player
-  createHLSPlayer(masterPlaylistPath, metadata);
+function serve(serveOptions) {
+  log.brand();
+
+  try {
+    currentServer = createJobServer({ concurrency: serveOptions.concurrency, outputDir: baseOutputDir });
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+
+  currentServer.on('job', (job) => {
+    const message = `Job ${job.id} ${job.status}: ${job.type} ${job.input}`;
+    if (job.status === 'failed') {
+      log.error(`${message} - ${job.error}`);
+    } else if (job.status === 'complete') {
+      log.success(`${message} -> ${job.outputDir}`);
+    } else {
+      log.info(message);
+    }
+  });
+
+  currentServer.on('error', (error) => {
+    log.error(`Could not start the job server: ${error.message}`);
+    process.exit(1);
+  });
+
+  currentServer.listen(Number(serveOptions.port), serveOptions.host, () => {
+    const { port } = currentServer.address();
+    const host = serveOptions.host.includes(':') ? `[${serveOptions.host}]` : serveOptions.host;
+    log.success(`Job server listening on http://${host}:${port}`);
+    log.info(`• Jobs run ${serveOptions.concurrency} at a time`);
+    log.info(`• Output: ${path.resolve(baseOutputDir)}/<job id> unless a job sets "directory"`);
+    log.info('• Submit with POST /jobs and follow progress at /jobs/<id>/events');
+  });
 }
 
 /**
- * Creates a simple HTML player for HLS content
+ * Serves an output folder for the browser until Ctrl+C and prints its URLs.
+ * Without an explicit port, ports after the default are tried while taken.
  */
-function createHLSPlayer(playlistPath, metadata) {
-  const playerPath = path.join(outputDir, 'player.html');
-  
-  // Important: For local file playback, we need to use the file name only
-  // and place the player in the same directory as the master playlist
-  const playlistFilename = path.basename(playlistPath);
-  
-  const playerHtml = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>HLS Player by Adons Tech</title>
-  <style>
-    body {
-      font-family: Arial, sans-serif;
-      max-width: 900px;
-      margin: 0 auto;
-      padding: 20px;
-      background-color: #f5f5f5;
-      color: #333;
-    }
-    h1 {
-      color: #2c3e50;
-      text-align: center;
-    }
-    .player-container {
-      width: 100%;
-      background: #fff;
-      border-radius: 8px;
-      overflow: hidden;
-      box-shadow: 0 4px 12px rgba(0,0,0,0.1);
-      margin: 20px 0;
-    }
-    video {
-      width: 100%;
-      display: block;
-    }
-    .info {
-      padding: 15px;
-      background: #ecf0f1;
-      border-radius: 0 0 8px 8px;
-    }
-    .info p {
-      margin: 5px 0;
-    }
-    .note {
-      background-color: #fef9e7;
-      border-left: 4px solid #f1c40f;
-      padding: 10px 15px;
-      margin: 20px 0;
-      font-size: 14px;
-    }
-    .footer {
-      text-align: center;
-      margin-top: 30px;
-      font-size: 14px;
-      color: #7f8c8d;
-    }
-    .error-message {
-      color: #e74c3c;
-      font-weight: bold;
-      text-align: center;
-      padding: 10px;
-      display: none;
-    }
-    .instructions {
-      margin-top: 20px;
-      padding: 15px;
-      background: #e8f4f8;
-      border-radius: 8px;
-      font-size: 14px;
-    }
-    .instructions h3 {
-      margin-top: 0;
-      color: #2980b9;
-    }
-    .instructions ol {
-      padding-left: 20px;
-    }
-    .instructions li {
-      margin-bottom: 8px;
+function preview(dir, previewOptions = {}) {
+  const explicitPort = previewOptions.port !== undefined;
+  const host = previewOptions.host || '127.0.0.1';
+  let port = explicitPort ? Number(previewOptions.port) : PREVIEW_PORT;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    log.error('--port must be a whole number between 0 and 65535.');
+    process.exit(1);
+  }
+
+  try {
+    currentPreview = createPreviewServer(dir);
+  } catch (error) {
+    log.error(error.message);
+    process.exit(1);
+  }
+  if (!fs.existsSync(path.join(dir, 'player.html'))) {
+    log.warning(`${path.resolve(dir)} has no player.html - is it an HLS or DASH output folder?`);
+  }
+
+  currentPreview.on('error', (error) => {
+    if (error.code === 'EADDRINUSE' && !explicitPort && port < PREVIEW_PORT + PREVIEW_PORT_ATTEMPTS - 1) {
+      port++;
+      currentPreview.listen(port, host);
+      return;
     }
-  </style>
-</head>
-<body>
-  <h1>HLS Player by Adons Tech</h1>
-  
-  <div class="note">
-    <p><strong>Note:</strong> Due to browser security restrictions, this player may not work when opened directly from your file system. 
-    For best results, serve this folder using a local web server.</p>
-  </div>
-  
-  <div class="player-container">
-    <video id="video" controls></video>
-    <div id="error-message" class="error-message">Error loading video. Please check browser console for details.</div>
-    <div class="info">
-      <p><strong>Source:</strong> ${path.basename(inputFile)}</p>
-      <p><strong>Resolution:</strong> ${metadata.resolution || 'Unknown'}</p>
-      <p><strong>Duration:</strong> ${Math.floor(metadata.duration || 0)} seconds (${((metadata.duration || 0) / 60).toFixed(1)} minutes)</p>
-    </div>
-  </div>
-  
-  <div class="instructions">
-    <h3>How to Play This Video</h3>
-    <ol>
-      <li>Option 1: Use a local web server like <code>http-server</code> or <code>live-server</code> to serve this directory.</li>
-      <li>Option 2: Upload these files to a web server that supports HLS streaming.</li>
-      <li>Option 3: Use VLC Media Player to open the <code>${playlistFilename}</code> file directly.</li>
-    </ol>
-    <p>To install a simple web server, run: <code>npm install -g http-server</code> and then <code>http-server .</code> in this directory.</p>
-  </div>
-  
-  <script>
-    document.addEventListener('DOMContentLoaded', function() {
-      const video = document.getElementById('video');
-      const errorMessage = document.getElementById('error-message');
-      
-      // Check if we're running from a web server or file system
-      const isWebServer = window.location.protocol !== 'file:';
-      
-      if (!isWebServer) {
-        errorMessage.style.display = 'block';
-        errorMessage.textContent = 'For security reasons, HLS playback requires a web server. Please see instructions below.';
-        return;
-      }
-      
-      // Load HLS.js dynamically to avoid CORS issues with local files
-      const script = document.createElement('script');
-      script.src = 'https://cdn.jsdelivr.net/npm/hls.js@1.4.12';
-      script.onload = function() {
-        initializePlayer();
-      };
-      script.onerror = function() {
-        errorMessage.style.display = 'block';
-        errorMessage.textContent = 'Failed to load HLS.js library. Please check your internet connection.';
-      };
-      document.head.appendChild(script);
-      
-      function initializePlayer() {
-        const videoSrc = '${playlistFilename}';
-        console.log('Attempting to load HLS stream:', videoSrc);
-        
-        if (Hls.isSupported()) {
-          const hls = new Hls({
-            debug: true
-          });
-          
-          hls.on(Hls.Events.ERROR, function(event, data) {
-            console.error('HLS error:', data);
-            if (data.fatal) {
-              errorMessage.style.display = 'block';
-              errorMessage.textContent = 'Error: ' + data.type + ' - ' + data.details;
-            }
-          });
-          
-          hls.loadSource(videoSrc);
-          hls.attachMedia(video);
-          
-          hls.on(Hls.Events.MANIFEST_PARSED, function() {
-            console.log('HLS manifest parsed successfully');
-          });
-        } else if (video.canPlayType('application/vnd.apple.mpegurl')) {
-          // Native HLS support (Safari)
-          console.log('Using native HLS support');
-          video.src = videoSrc;
-          video.addEventListener('error', function(e) {
-            console.error('Video error:', video.error);
-            errorMessage.style.display = 'block';
-          });
-        } else {
-          errorMessage.style.display = 'block';
-          errorMessage.textContent = 'HLS is not supported in this browser';
-          console.error('HLS is not supported in this browser');
-        }
-      }
-    });
-  </script>
-  
-  <div class="footer">
-    <p>Created by Adons Tech and researched by Antlers Labs</p>
-  </div>
-</body>
-</html>`;
-  
-  fs.writeFileSync(playerPath, playerHtml);
-  log.success(`HTML player created: ${playerPath}`);
-  log.info(`Open this file in a web browser to play the HLS stream`);
-  
-  // Create a simple README file with instructions in the output directory
-  const readmePath = path.join(outputDir, 'PLAYBACK.md');
-  const readmeContent = `# HLS Playback Instructions
-
-This folder contains HLS (HTTP Live Streaming) files generated by IELTS2GO Video Chunker.
-
-## Files
-- \`${playlistFilename}\`: Master playlist file
-- \`hls/${filePrefix}.m3u8\`: Variant playlist file
-- \`hls/${filePrefix}_*.ts\`: Video segments
-- \`player.html\`: Web player for HLS content
-
-## How to Play
-
-### Option 1: Using a Web Server (Recommended)
-1. Install a simple web server: \`npm install -g http-server\`
-2. Navigate to this directory in your terminal
-3. Run: \`http-server .\`
-4. Open the provided URL in your browser
-5. Click on \`player.html\`
-
-### Option 2: Using VLC Media Player
-1. Open VLC Media Player
-2. Go to Media > Open File
-3. Select the \`${playlistFilename}\` file
-4. VLC will handle the HLS streaming
-
-### Option 3: Using a Full Web Server
-If you have access to a web server, upload all files maintaining the directory structure and access the player.html file through your domain.
-
-## Troubleshooting
-- If the player shows errors, check your browser's console for details
-- Ensure you're using a modern browser with HLS support
-- For local playback, a web server is required due to browser security restrictions
-
-Created with IELTS2GO Video Chunker - Empowering Your English Journey
-`;
-  
-  fs.writeFileSync(readmePath, readmeContent);
-  log.info(`Playback instructions created: ${readmePath}`);
+    log.error(`Could not start the preview server: ${error.message}`);
+    process.exit(1);
+  });
+
+  currentPreview.on('listening', () => {
+    const address = `http://${host.includes(':') ? `[${host}]` : host}:${currentPreview.address().port}`;
+    const playlists = fs.readdirSync(dir).filter(name => name.endsWith('.m3u8'));
+    log.divider();
+    log.success(`Previewing ${path.resolve(dir)}`);
+    log.info(`• Player:   ${chalk.bold(`${address}/`)}`);
+    playlists.forEach(name => log.info(`• Playlist: ${address}/${encodeURIComponent(name)}`));
+    log.info('• Press Ctrl+C to stop');
+  });
+
+  currentPreview.listen(port, host);
 }
 
 /**
@@ -766,60 +1135,58 @@ async function run() {
     // Validate input
     validateInput();
     
-    // Check for CLI HLS mode
-    let outputConfig;
-    if (options.hls) {
-      // Direct HLS mode from command line
-      log.info('HLS mode selected via command line options');
-      outputConfig = {
-        mode: 'hls',
-        extension: 'ts',
-        segmentLength: parseInt(options.hlsSegment, 10) || 4,
-        playlistType: options.hlsType || 'vod'
-      };
-    } else {
-      // Interactive setup
-      outputConfig = await setupOutput();
-    }
-    
-    // Get video metadata
-    log.info('Analyzing video file...');
-    const metadata = await getVideoMetadata(inputFile);
-    
-    if (!metadata.duration) {
-      log.error('Could not determine video duration. Please check if the file is a valid video.');
+    const { files: sources, missing } = expandInputs(program.args);
+    if (sources.length === 0) {
+      missing.forEach(source => log.error(`Input file not found: "${source}"`));
+      log.info('Please check the file path and try again.');
       process.exit(1);
     }
+    inputFile = sources[0];
     
-    log.success(`Video analysis complete:`);
-    log.info(`• Duration: ${Math.floor(metadata.duration)} seconds (${(metadata.duration / 60).toFixed(1)} minutes)`);
-    log.info(`• Resolution: ${metadata.resolution}`);
-    log.info(`• Video codec: ${metadata.videoCodec || 'Unknown'}`);
-    log.info(`• Audio codec: ${metadata.audioCodec || 'Unknown'}`);
+    // Mode flags skip the interactive setup entirely; a batch is configured once
+    const runOptions = { ...options, ...(await resolveModeOptions()) };
+    if (options.saveProfile !== undefined) {
+      saveProfile(options.saveProfile, runOptions);
+    }
     
-    // Create output directory
-    createOutputDirectory();
+    if (sources.length > 1 || missing.length > 0) {
+      const results = await processBatch(sources, missing, runOptions);
+      const failures = results.filter(result => !result.ok);
+      hintFFmpegInstall(failures.map(result => result.error));
+      if (failures.length > 0) {
+        process.exitCode = 1;
+        return;
+      }
+    } else {
+      await processSource(inputFile, runOptions, baseOutputDir, false);
+    }
     
-    // Process chunks
-    await processChunks(metadata.duration, outputConfig, metadata);
+    const previewing = options.serve && sources.length === 1 && missing.length === 0 && isHLSMode(runOptions);
+    if (options.serve && !previewing) {
+      log.warning(isHLSMode(runOptions)
+        ? '--serve previews a single source - run "preview <dir>" on the folder of the one to check.'
+        : '--serve only applies to HLS and DASH output, which include a player.');
+    }
     
     // Final success message
-    console.log(chalk.green(`
+    if (!quiet) {
+      console.log(chalk.green(`
 🎓 Thank you for using IELTS2GO Video Chunker!
    Your educational content is now ready for optimal learning experiences.
    
    ${chalk.gray('Visit us at:')} ${chalk.blue('https://ielts2go.com')}
    ${chalk.gray('Support:')} ${chalk.blue('support@ielts2go.com')}
 `));
+    }
+    
+    if (previewing) {
+      preview(baseOutputDir);
+    }
     
   } catch (error) {
     log.error('An unexpected error occurred:');
     console.error(error.message);
-    
-    if (error.message.includes('ffmpeg') || error.message.includes('ffprobe')) {
-      log.warning('Please ensure FFmpeg is installed and accessible in your system PATH.');
-      log.info('Installation guide: https://ffmpeg.org/download.html');
-    }
+    hintFFmpegInstall([error.message]);
     
     process.exit(1);
   }
@@ -827,9 +1194,34 @@ async function run() {
 
 // Handle graceful shutdown
 process.on('SIGINT', () => {
+  if (currentServer) {
+    const interrupted = currentServer.cancelAll();
+    console.log(chalk.yellow('\n\n👋 Thanks for using Chunkify by IELTS2GO Developed by Adons Tech'));
+    if (interrupted > 0) {
+      console.log(chalk.gray(`   ${interrupted} running job(s) were interrupted - resubmit them with "resume": true to continue.`));
+    }
+    process.exit(130);
+  }
+
+  const watching = currentWatcher !== null;
+  const recorded = watching ? currentWatcher.stop() : currentTask ? currentTask.cancel() : false;
   console.log(chalk.yellow('\n\n👋 Thanks for using Chunkify by IELTS2GO Developed by Adons Tech'));
-  process.exit(0);
+  if (recorded) {
+    console.log(chalk.gray(watching
+      ? '   The file being processed was queued again - it resumes when the watcher is restarted.'
+      : '   Progress was saved - run the same command with --resume to continue.'));
+  }
+  process.exit(130);
 });
 
 // Start the application
-run();
\ No newline at end of file
+if (selectedCommand.name === 'watch') {
+  watch(selectedCommand.dir, selectedCommand.options);
+} else if (selectedCommand.name === 'serve') {
+  serve(selectedCommand.options);
+} else if (selectedCommand.name === 'preview') {
+  log.brand();
+  preview(selectedCommand.dir, selectedCommand.options);
+} else {
+  run();
+}
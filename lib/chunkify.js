@@ -0,0 +1,4367 @@
+const { EventEmitter } = require('events');
+const ffmpeg = require('fluent-ffmpeg');
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { version } = require('../package.json');
+
+// File extensions picked up when a directory or glob is given as input
+const VIDEO_EXTENSIONS = ['mp4', 'mkv', 'avi', 'mov', 'webm', 'm4v', 'flv', 'wmv', 'mpg', 'mpeg', 'ts', 'mts', 'm2ts', '3gp'];
+const AUDIO_EXTENSIONS = ['mp3', 'm4a', 'aac', 'wav', 'flac', 'ogg', 'opus', 'wma'];
+
+// Per-job manifest in each output directory: source fingerprint, settings and chunk status
+const JOB_MANIFEST = 'ielts2go_job.json';
+
+// Manifest of the produced files, written once processing has finished
+const METADATA_FILE = 'ielts2go_metadata.json';
+
+// Defaults for every option; option names match the CLI's long flags in camelCase
+const DEFAULT_OPTIONS = {
+  directory: 'ielts2go_chunks',
+  length: 60,
+  prefix: 'ielts2go_chunk',
+  quality: 'fast',
+  silenceThreshold: -30,
+  silenceDuration: 0.5,
+  smartWindow: 10,
+  hlsSegment: 4,
+  hlsType: 'vod',
+  hlsKeyUri: '{key}',
+  hlsPlayer: 'cdn',
+  audioFormat: 'mp3',
+  audioBitrate: 128,
+  loudnessTarget: -16,
+  videoCodec: 'x264',
+  watermarkPosition: 'bottom-right',
+  watermarkMargin: 20,
+  watermarkOpacity: 0.8,
+  watermarkScale: 0.15,
+  jobs: 1,
+  singlePass: true
+};
+
+// Where player.html loads hls.js from: the CDN, a copy next to the player, or inlined into it
+const HLS_PLAYER_SOURCES = ['cdn', 'bundle', 'inline'];
+const HLS_JS_CDN = `https://cdn.jsdelivr.net/npm/hls.js@${installedHlsJsVersion()}`;
+const HLS_JS_FILE = 'hls.min.js';
+
+// Embedded subtitle codecs ffmpeg can convert to text; bitmap subtitles (PGS, DVD) cannot be
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+// Seek previews for HLS: a thumbnail every THUMBNAIL_INTERVAL seconds, THUMBNAIL_WIDTH
+// pixels wide, tiled SPRITE_COLUMNS x SPRITE_ROWS to a sprite sheet in THUMBNAIL_DIR
+const THUMBNAIL_DIR = 'thumbnails';
+const THUMBNAIL_INTERVAL = 5;
+const THUMBNAIL_WIDTH = 160;
+const SPRITE_COLUMNS = 5;
+const SPRITE_ROWS = 5;
+
+// Chunk posters are taken this far into the chunk, past fades and title cards at its start
+const POSTER_POSITION = 0.1;
+
+// Audio-only output (--audio): file extension and ffmpeg encoder per --audio-format
+const AUDIO_FORMATS = {
+  mp3: { extension: 'mp3', codec: 'libmp3lame' },
+  aac: { extension: 'm4a', codec: 'aac' },
+  opus: { extension: 'opus', codec: 'libopus' }
+};
+
+// EBU R128 loudness normalization (--loudnorm): the true peak (dBTP) and loudness
+// range (LU) the filter keeps to; the loudness target is --loudness-target
+const LOUDNORM_TRUE_PEAK = -1.5;
+const LOUDNORM_RANGE = 11;
+
+// Watermark placement (--watermark-position): overlay x:y for a logo of size w x h on a
+// W x H picture, m pixels (--watermark-margin) from the edges
+const WATERMARK_POSITIONS = {
+  'top-left': m => `${m}:${m}`,
+  'top-right': m => `W-w-${m}:${m}`,
+  'bottom-left': m => `${m}:H-h-${m}`,
+  'bottom-right': m => `W-w-${m}:H-h-${m}`,
+  center: () => '(W-w)/2:(H-h)/2'
+};
+
+const QUALITY_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+
+// Video encoders for re-encode mode (--video-codec): the containers each fits in,
+// the CRF range and the CRF used when no rate is given, and the encoder options
+// for a --quality preset (libvpx and libaom take a cpu-used speed instead, 0 = slowest)
+const VIDEO_CODECS = {
+  x264: {
+    encoder: 'libx264',
+    containers: ['mp4', 'm4v', 'mov', 'mkv', 'avi', 'flv', 'ts', 'mts', 'm2ts', '3gp'],
+    maxCrf: 51,
+    defaultCrf: 23,
+    speed: preset => ['-preset', preset]
+  },
+  x265: {
+    encoder: 'libx265',
+    containers: ['mp4', 'm4v', 'mov', 'mkv', 'ts', 'mts', 'm2ts'],
+    maxCrf: 51,
+    defaultCrf: 28,
+    speed: preset => ['-preset', preset]
+  },
+  vp9: {
+    encoder: 'libvpx-vp9',
+    containers: ['webm', 'mkv', 'mp4'],
+    maxCrf: 63,
+    defaultCrf: 32,
+    speed: preset => ['-deadline', 'good', '-cpu-used', String(Math.round(5 - QUALITY_PRESETS.indexOf(preset) * 5 / 8)), '-row-mt', '1']
+  },
+  av1: {
+    encoder: 'libaom-av1',
+    containers: ['webm', 'mkv', 'mp4'],
+    maxCrf: 63,
+    defaultCrf: 30,
+    speed: preset => ['-cpu-used', String(8 - QUALITY_PRESETS.indexOf(preset)), '-row-mt', '1']
+  }
+};
+
+// Default bitrates (kbps) for adaptive HLS ladder rungs, keyed by output height
+const HLS_LADDER_BITRATES = {
+  2160: { video: 14000, audio: 192 },
+  1440: { video: 9000, audio: 192 },
+  1080: { video: 5000, audio: 128 },
+  720: { video: 2800, audio: 128 },
+  480: { video: 1400, audio: 96 },
+  360: { video: 800, audio: 96 },
+  240: { video: 400, audio: 64 }
+};
+
+/**
+ * Fills in defaults; options left undefined fall back to DEFAULT_OPTIONS
+ */
+function resolveOptions(options = {}) {
+  const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  return { ...DEFAULT_OPTIONS, ...given };
+}
+
+/**
+ * True when the options select HLS (or DASH) output
+ */
+function isHLSMode(options) {
+  return Boolean(options.hls || options.hlsLadder !== undefined || options.dash);
+}
+
+/**
+ * Checks options for conflicts and invalid values and throws an Error naming
+ * the offending flag. Returns warnings for problems that have a fallback.
+ * With modePending the processing mode is still to be chosen (e.g. by a
+ * prompt), so HLS-only options are not rejected yet.
+ */
+function validateOptions(rawOptions, { modePending = false } = {}) {
+  const options = resolveOptions(rawOptions);
+  const warnings = [];
+  const chunkLength = parseInt(options.length, 10);
+  const jobs = Number(options.jobs);
+
+  if (!(chunkLength > 0)) {
+    throw new Error('Chunk length must be greater than 0 seconds.');
+  }
+
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    throw new Error('--jobs must be a whole number of 1 or more.');
+  }
+
+  if (!QUALITY_PRESETS.includes(options.quality)) {
+    warnings.push(`Invalid quality preset: "${options.quality}". Using "fast" instead.`);
+  }
+
+  if (options.format !== undefined && (options.fast || options.hls || options.dash)) {
+    throw new Error('--format only applies to re-encode mode. Fast mode keeps the source format, and HLS and DASH choose their segment container with --hls-segment-type.');
+  }
+
+  const modeFlags = [
+    options.fast && '--fast',
+    (options.encode || options.format !== undefined) && '--encode',
+    isHLSMode(options) && (options.dash ? '--dash' : '--hls'),
+    options.audio && !isHLSMode(options) && '--audio'
+  ].filter(Boolean);
+  if (modeFlags.length > 1) {
+    throw new Error(`Choose only one processing mode: ${modeFlags.join(', ')} cannot be used together.`);
+  }
+
+  const encryptionFlags = ['hlsKeyFile', 'hlsKeyDir', 'hlsKeyRotate'].filter(flag => options[flag] !== undefined);
+  const hlsPossible = isHLSMode(options) || (modePending && modeFlags.length === 0);
+  if ((options.hlsEncrypt || encryptionFlags.length > 0) && !hlsPossible) {
+    throw new Error('HLS encryption options need --hls.');
+  }
+
+  if (options.hlsKeyFile !== undefined) {
+    readHLSKeyFile(options.hlsKeyFile);
+  }
+
+  if (!HLS_PLAYER_SOURCES.includes(options.hlsPlayer)) {
+    throw new Error(`Invalid --hls-player "${options.hlsPlayer}". Use cdn, bundle or inline.`);
+  }
+  if (rawOptions.hlsPlayer !== undefined && !hlsPossible) {
+    throw new Error('--hls-player needs --hls.');
+  }
+  if (options.hlsPlayer !== 'cdn' && hlsPossible) {
+    hlsJsPath();
+  }
+
+  const audioPossible = options.audio || (modePending && modeFlags.length === 0);
+  const encodePossible = options.encode || options.format !== undefined || (modePending && modeFlags.length === 0);
+  if ((rawOptions.audioFormat !== undefined || rawOptions.audioBitrate !== undefined) && !audioPossible) {
+    throw new Error('--audio-format and --audio-bitrate need --audio.');
+  }
+  if (!AUDIO_FORMATS[options.audioFormat]) {
+    throw new Error(`Invalid --audio-format "${options.audioFormat}". Use mp3, aac or opus.`);
+  }
+  if (!(parseInt(options.audioBitrate, 10) > 0)) {
+    throw new Error('--audio-bitrate must be a number of kbps greater than 0, e.g. 128.');
+  }
+  if (options.audio && isHLSMode(options)) {
+    if (rawOptions.audioFormat !== undefined && options.audioFormat !== 'aac') {
+      throw new Error('Audio-only HLS is always AAC; --audio-format mp3 and opus apply to audio chunks.');
+    }
+    if (options.hlsLadder !== undefined) {
+      throw new Error('--hls-ladder scales video and cannot be combined with --audio.');
+    }
+  }
+  if (options.audio && options.thumbnails) {
+    throw new Error('--thumbnails needs video and cannot be combined with --audio.');
+  }
+
+  if (options.loudnorm) {
+    const target = Number(options.loudnessTarget);
+    if (!(target >= -70 && target <= -5)) {
+      throw new Error('--loudness-target must be between -70 and -5 LUFS, e.g. -16 (or -23 for EBU R128 broadcast level).');
+    }
+    if (!options.audio && !encodePossible) {
+      throw new Error('--loudnorm re-encodes the audio, so it needs --audio or --encode.');
+    }
+  }
+
+  const videoFlags = [
+    ['scale', '--scale'], ['crop', '--crop'], ['fps', '--fps'], ['crf', '--crf'], ['videoBitrate', '--video-bitrate'],
+    ['maxrate', '--maxrate'], ['bufsize', '--bufsize'], ['videoCodec', '--video-codec']
+  ].filter(([key]) => rawOptions[key] !== undefined).map(([, flag]) => flag);
+  if (videoFlags.length > 0 && !encodePossible) {
+    throw new Error(`${videoFlags.join(', ')} ${videoFlags.length > 1 ? 'apply' : 'applies'} to re-encode mode only; add --encode.`);
+  }
+  const videoCodec = VIDEO_CODECS[options.videoCodec];
+  if (!videoCodec) {
+    throw new Error(`Invalid --video-codec "${options.videoCodec}". Use x264, x265, vp9 or av1.`);
+  }
+  if (options.scale !== undefined) {
+    parseScale(options.scale);
+  }
+  if (options.crop !== undefined) {
+    parseCrop(options.crop);
+  }
+  if (options.fps !== undefined) {
+    const fps = parseFrameRate(options.fps);
+    if (!(fps > 0 && fps <= 240)) {
+      throw new Error(`Invalid --fps "${options.fps}". Use a frame rate such as 25, 29.97 or 30000/1001.`);
+    }
+  }
+  if (options.crf !== undefined) {
+    const crf = Number(options.crf);
+    if (!Number.isInteger(crf) || crf < 0 || crf > videoCodec.maxCrf) {
+      throw new Error(`--crf must be a whole number from 0 to ${videoCodec.maxCrf} for ${options.videoCodec}.`);
+    }
+    if (options.videoBitrate !== undefined) {
+      throw new Error('Choose either --crf (constant quality) or --video-bitrate (target bitrate), not both.');
+    }
+  }
+  ['videoBitrate', 'maxrate', 'bufsize'].forEach((key) => {
+    const value = Number(options[key]);
+    if (options[key] !== undefined && !(Number.isInteger(value) && value > 0)) {
+      throw new Error(`--${key === 'videoBitrate' ? 'video-bitrate' : key} must be a whole number of kbps greater than 0, e.g. 2500.`);
+    }
+  });
+  if (options.bufsize !== undefined && options.maxrate === undefined) {
+    throw new Error('--bufsize sets the rate control buffer for --maxrate, so it needs --maxrate.');
+  }
+  if (options.maxrate !== undefined && options.videoBitrate !== undefined && Number(options.maxrate) < Number(options.videoBitrate)) {
+    throw new Error('--maxrate cannot be lower than --video-bitrate.');
+  }
+  if (encodePossible) {
+    const extension = options.format !== undefined ? normalizeExtension(options.format) : 'mp4';
+    const known = Object.values(VIDEO_CODECS).some(codec => codec.containers.includes(extension));
+    if (known && !videoCodec.containers.includes(extension)) {
+      const fitting = Object.keys(VIDEO_CODECS).filter(name => VIDEO_CODECS[name].containers.includes(extension));
+      throw new Error(`--video-codec ${options.videoCodec} cannot be written to .${extension} files. Use ${fitting.join(' or ')} for .${extension}, or choose another --format.`);
+    }
+  }
+
+  const watermarkFlags = ['watermarkPosition', 'watermarkMargin', 'watermarkOpacity', 'watermarkScale'].filter(key => rawOptions[key] !== undefined);
+  if (watermarkFlags.length > 0 && !options.watermark) {
+    throw new Error('--watermark-position, --watermark-margin, --watermark-opacity and --watermark-scale need --watermark.');
+  }
+  const compositionFlags = [
+    options.watermark && '--watermark',
+    options.intro && '--intro',
+    options.outro && '--outro'
+  ].filter(Boolean);
+  if (compositionFlags.length > 0) {
+    if (options.audio) {
+      throw new Error(`${compositionFlags.join(', ')} need${compositionFlags.length > 1 ? '' : 's'} video and cannot be combined with --audio.`);
+    }
+    if (!encodePossible && !hlsPossible) {
+      throw new Error(`${compositionFlags.join(', ')} re-encode${compositionFlags.length > 1 ? '' : 's'} the video, so ${compositionFlags.length > 1 ? 'they need' : 'it needs'} --encode or --hls.`);
+    }
+    const missing = [['watermark', 'Watermark image'], ['intro', 'Intro clip'], ['outro', 'Outro clip']]
+      .find(([key]) => options[key] && !fs.existsSync(options[key]));
+    if (missing) {
+      throw new Error(`${missing[1]} not found: "${options[missing[0]]}"`);
+    }
+  }
+  if (options.watermark) {
+    if (!WATERMARK_POSITIONS[options.watermarkPosition]) {
+      throw new Error(`Invalid --watermark-position "${options.watermarkPosition}". Use top-left, top-right, bottom-left, bottom-right or center.`);
+    }
+    const margin = Number(options.watermarkMargin);
+    if (!Number.isInteger(margin) || margin < 0) {
+      throw new Error('--watermark-margin must be a whole number of pixels, 0 or more.');
+    }
+    const opacity = Number(options.watermarkOpacity);
+    if (!(opacity > 0 && opacity <= 1)) {
+      throw new Error('--watermark-opacity must be greater than 0 and at most 1, e.g. 0.8.');
+    }
+    const scale = Number(options.watermarkScale);
+    if (!(scale > 0 && scale <= 1)) {
+      throw new Error('--watermark-scale is the logo width as a fraction of the video width: greater than 0 and at most 1, e.g. 0.15.');
+    }
+  }
+
+  if (options.hlsKeyRotate !== undefined) {
+    const rotateEvery = parseInt(options.hlsKeyRotate, 10);
+    if (!(rotateEvery > 0)) {
+      throw new Error('--hls-key-rotate must be a whole number of segments greater than 0.');
+    }
+    if (options.hlsKeyFile !== undefined) {
+      throw new Error('--hls-key-rotate generates new random keys and cannot be combined with --hls-key-file.');
+    }
+    if (!options.hlsKeyUri.includes('{key}')) {
+      throw new Error('--hls-key-rotate needs a {key} placeholder in --hls-key-uri so every key gets its own URI.');
+    }
+  }
+
+  if (options.hlsEncrypt || encryptionFlags.length > 0) {
+    const keyDir = options.hlsKeyDir !== undefined ? options.hlsKeyDir : defaultKeyDir(options.directory);
+    const relativeKeyDir = path.relative(path.resolve(options.directory), path.resolve(keyDir));
+    if (relativeKeyDir === '' || (!relativeKeyDir.startsWith('..') && !path.isAbsolute(relativeKeyDir))) {
+      const hint = options.hlsKeyDir !== undefined ? '' : ' - choose one with --hls-key-dir';
+      throw new Error(`The key directory (${path.resolve(keyDir)}) must be outside the output directory so keys are never published with the stream${hint}.`);
+    }
+  }
+
+  if (options.hlsSegmentType !== undefined && !['mpegts', 'fmp4'].includes(options.hlsSegmentType)) {
+    throw new Error(`Invalid --hls-segment-type "${options.hlsSegmentType}". Use mpegts or fmp4.`);
+  }
+
+  if (options.dash && options.hlsSegmentType === 'mpegts') {
+    throw new Error('--dash always writes fMP4 (CMAF) segments and cannot be combined with --hls-segment-type mpegts.');
+  }
+
+  if (options.dash && (options.hlsEncrypt || encryptionFlags.length > 0)) {
+    throw new Error('HLS encryption is not available with --dash; use --hls with --hls-segment-type fmp4 instead.');
+  }
+
+  if (options.hlsLadder !== undefined) {
+    parseLadder(String(options.hlsLadder));
+  }
+
+  const boundaryFlags = [
+    options.splitAt !== undefined && '--split-at',
+    options.chapters && '--chapters',
+    options.cueFile !== undefined && '--cue-file',
+    options.smart && '--smart',
+    options.keyframes && '--keyframes'
+  ].filter(Boolean);
+
+  if (boundaryFlags.length > 1) {
+    throw new Error(`Choose only one way to place chunk boundaries: ${boundaryFlags.join(', ')} cannot be used together.`);
+  }
+
+  if (boundaryFlags.length > 0 && isHLSMode(options)) {
+    throw new Error(`${boundaryFlags[0]} applies to chunking modes only; HLS places its own segment boundaries.`);
+  }
+
+  if (options.smart) {
+    const threshold = parseFloat(options.silenceThreshold);
+    if (!Number.isFinite(threshold) || threshold >= 0) {
+      throw new Error('--silence-threshold must be a negative number of dB, e.g. -30.');
+    }
+    if (!(parseFloat(options.silenceDuration) > 0) || !(parseFloat(options.smartWindow) > 0)) {
+      throw new Error('--silence-duration and --smart-window must be greater than 0 seconds.');
+    }
+  }
+
+  if (options.splitAt !== undefined) {
+    const invalid = String(options.splitAt).split(',').filter(time => !Number.isFinite(parseTimestamp(time)));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid --split-at timestamp(s): ${invalid.join(', ')}. Use seconds, MM:SS or HH:MM:SS(.mmm).`);
+    }
+  }
+
+  for (const key of ['start', 'end']) {
+    if (options[key] !== undefined && !Number.isFinite(parseTimestamp(options[key]))) {
+      throw new Error(`Invalid --${key} "${options[key]}". Use seconds, MM:SS or HH:MM:SS(.mmm).`);
+    }
+  }
+  if (options.start !== undefined && options.end !== undefined && parseTimestamp(options.end) <= parseTimestamp(options.start)) {
+    throw new Error('--end must be later than --start.');
+  }
+  if (options.exclude !== undefined) {
+    parseRanges(options.exclude);
+  }
+
+  if (options.cueFile !== undefined && !fs.existsSync(options.cueFile)) {
+    throw new Error(`Cue file not found: "${options.cueFile}"`);
+  }
+
+  if (options.subtitles !== undefined && options.subtitles !== false) {
+    if (!['srt', 'vtt'].includes(path.extname(String(options.subtitles)).slice(1).toLowerCase())) {
+      throw new Error('--subtitles needs a SubRip (.srt) or WebVTT (.vtt) file.');
+    }
+    if (!fs.existsSync(options.subtitles)) {
+      throw new Error(`Subtitle file not found: "${options.subtitles}"`);
+    }
+  }
+
+  if (options.format !== undefined && !normalizeExtension(options.format)) {
+    throw new Error('--format needs a file extension, e.g. mp4 or mkv.');
+  }
+
+  return warnings;
+}
+
+/**
+ * Output configuration for the selected mode. Fast mode keeps the source's container,
+ * and audio mode (also audio-only HLS) drops the video.
+ */
+function resolveOutputConfig(ctx) {
+  const { options } = ctx;
+
+  if (isHLSMode(options)) {
+    const segmentType = options.dash ? 'fmp4' : options.hlsSegmentType || 'mpegts';
+    return {
+      mode: 'hls',
+      extension: segmentType === 'fmp4' ? 'm4s' : 'ts',
+      segmentType,
+      dash: Boolean(options.dash),
+      segmentLength: parseInt(options.hlsSegment, 10) || 4,
+      playlistType: options.hlsType || 'vod',
+      ladder: options.hlsLadder !== undefined ? parseLadder(String(options.hlsLadder)) : null,
+      encryption: getEncryptionConfig(ctx),
+      ...(options.audio && { audioOnly: true, audioBitrate: parseInt(options.audioBitrate, 10) })
+    };
+  }
+
+  if (options.audio) {
+    const { extension, codec } = AUDIO_FORMATS[options.audioFormat];
+    return { mode: 'audio', extension, codec, bitrate: parseInt(options.audioBitrate, 10) };
+  }
+
+  if (options.encode || options.format !== undefined) {
+    const optional = (value, parse) => (value !== undefined ? parse(value) : null);
+    const videoBitrate = optional(options.videoBitrate, Number);
+    const crf = options.crf !== undefined ? Number(options.crf) : VIDEO_CODECS[options.videoCodec].defaultCrf;
+    return {
+      mode: 'encode',
+      extension: options.format !== undefined ? normalizeExtension(options.format) : 'mp4',
+      videoCodec: options.videoCodec,
+      crf: videoBitrate === null ? crf : null,
+      videoBitrate,
+      maxrate: optional(options.maxrate, Number),
+      bufsize: optional(options.bufsize, Number),
+      scale: optional(options.scale, parseScale),
+      crop: optional(options.crop, parseCrop),
+      fps: optional(options.fps, String)
+    };
+  }
+
+  return { mode: 'copy', extension: sourceExtension(ctx.inputFile) };
+}
+
+/**
+ * Builds the state of one run: the source, its output directory, the parsed
+ * options and the job being processed. Everything the run reports goes out
+ * through the events emitter.
+ */
+function createContext(inputFile, rawOptions, events, kind) {
+  if (kind === 'chunk' && isHLSMode(rawOptions)) {
+    throw new Error('chunk() does not take HLS options - use toHLS() instead.');
+  }
+  if (kind === 'hls' && (rawOptions.fast || rawOptions.encode || rawOptions.format !== undefined)) {
+    throw new Error('toHLS() does not take --fast, --encode or --format.');
+  }
+  if (!inputFile) {
+    throw new Error('No input file specified.');
+  }
+  if (!fs.existsSync(inputFile) || !fs.statSync(inputFile).isFile()) {
+    throw new Error(`Input file not found: "${inputFile}"`);
+  }
+
+  const warnings = validateOptions(rawOptions);
+  const options = resolveOptions(rawOptions);
+  const emitLog = (level) => (message) => events.emit('log', { level, message });
+
+  const ctx = {
+    inputFile,
+    options,
+    outputDir: options.directory,
+    chunkLength: parseInt(options.length, 10),
+    filePrefix: options.prefix,
+    qualityPreset: QUALITY_PRESETS.includes(options.quality) ? options.quality : 'fast',
+    jobs: Number(options.jobs),
+    smartThreshold: parseFloat(options.silenceThreshold),
+    smartMinDuration: parseFloat(options.silenceDuration),
+    smartTolerance: parseFloat(options.smartWindow),
+    log: {
+      info: emitLog('info'),
+      success: emitLog('success'),
+      warning: emitLog('warning'),
+      error: emitLog('error'),
+      progress: emitLog('progress'),
+      folder: emitLog('folder'),
+      divider: () => events.emit('log', { level: 'divider', message: '' })
+    },
+    emit: (event, data) => events.emit(event, data),
+    // Job manifest of this run, and the ffmpeg commands writing output (with the
+    // files they write) so a cancel can stop them and record progress
+    currentJob: null,
+    activeCommands: new Map(),
+    // Fields gathered while processing (boundaries, variants, encryption) for the manifest
+    metadataFields: {},
+    // Subtitle tracks carried into the output, loaded once the source is probed
+    subtitleTracks: [],
+    // Seek preview track of HLS output (--thumbnails), for the player
+    thumbnails: null,
+    // Linear loudnorm filter from the source's measured loudness (--loudnorm), applied to every output
+    loudnormFilter: null,
+    // Crop, scale and frame rate filters of re-encode mode and the size they produce
+    videoOutput: null,
+    // Intro, outro and watermark (--intro, --outro, --watermark) composed into every output
+    composition: null,
+    // Ranges of the source that are used (--start, --end, --exclude); null for all of it
+    selection: null,
+    cancelled: false
+  };
+
+  warnings.forEach(warning => ctx.log.warning(warning));
+  return ctx;
+}
+
+/**
+ * Tracks an ffmpeg command until it ends, so a cancel can stop it and remove
+ * the files it was writing
+ */
+function trackCommand(ctx, command, files = []) {
+  ctx.activeCommands.set(command, files);
+  const untrack = () => ctx.activeCommands.delete(command);
+  command.on('end', untrack).on('error', untrack);
+}
+
+/**
+ * Runs one source from analysis to manifest. Resolves with the manifest, or
+ * with the existing one when the output is already up to date.
+ */
+async function runTask(ctx) {
+  const outputConfig = resolveOutputConfig(ctx);
+
+  // Get video metadata
+  ctx.log.info('Analyzing video file...');
+  const metadata = await getVideoMetadata(ctx.inputFile);
+
+  if (!metadata.duration) {
+    throw new Error('Could not determine video duration. Please check if the file is a valid video.');
+  }
+
+  ctx.log.success(`Video analysis complete:`);
+  ctx.log.info(`• Duration: ${Math.floor(metadata.duration)} seconds (${(metadata.duration / 60).toFixed(1)} minutes)`);
+  ctx.log.info(`• Resolution: ${metadata.resolution || 'none (audio only)'}`);
+  ctx.log.info(`• Video codec: ${metadata.videoCodec || 'none'}`);
+  ctx.log.info(`• Audio codec: ${metadata.audioCodec || 'none'}`);
+
+  if (!metadata.hasVideo && !metadata.hasAudio) {
+    throw new Error('The file has no audio or video stream to process.');
+  }
+  if ((outputConfig.mode === 'audio' || outputConfig.audioOnly) && !metadata.hasAudio) {
+    throw new Error('--audio needs an audio stream, and this source has none.');
+  }
+  if (!metadata.hasVideo && outputConfig.mode !== 'audio' && !outputConfig.audioOnly) {
+    ctx.log.info('The source has no video stream - the output will be audio only.');
+  }
+  ctx.selection = resolveSelection(ctx, metadata);
+  if (ctx.selection) {
+    const removed = metadata.duration - ctx.selection.duration;
+    ctx.log.info(`• Selected: ${ctx.selection.ranges.map(range => `${formatSubtitleTime(range.start, 'vtt')}-${formatSubtitleTime(range.end, 'vtt')}`).join(', ')} (${Math.floor(ctx.selection.duration)} seconds, ${Math.floor(removed)} seconds left out)`);
+  }
+  if (outputConfig.mode === 'encode' && metadata.hasVideo) {
+    ctx.videoOutput = resolveVideoFilters(outputConfig, metadata);
+  }
+  ctx.composition = await prepareComposition(ctx, outputConfig, metadata);
+
+  const { job, upToDate } = await openJob(ctx, outputConfig);
+  if (upToDate) {
+    ctx.log.success(`Output in ${path.resolve(ctx.outputDir)} is up to date with this source and settings - nothing to do`);
+    const metadataPath = path.join(ctx.outputDir, METADATA_FILE);
+    return fs.existsSync(metadataPath) ? JSON.parse(fs.readFileSync(metadataPath, 'utf8')) : null;
+  }
+
+  // Create output directory
+  createOutputDirectory(ctx);
+  ctx.currentJob = job;
+  saveJob(ctx, job);
+
+  // Process chunks
+  try {
+    if (ctx.cancelled) {
+      throw new Error('Cancelled');
+    }
+    await processChunks(ctx, metadata.duration, outputConfig, metadata);
+  } catch (error) {
+    // A cancel has already recorded the job as interrupted
+    if (!ctx.cancelled) {
+      job.status = 'failed';
+      job.error = error.message;
+      saveJob(ctx, job);
+    }
+    ctx.currentJob = null;
+    throw ctx.cancelled ? new Error('Cancelled') : error;
+  }
+
+  const manifest = await writeManifest(ctx, outputConfig, metadata);
+
+  job.status = 'complete';
+  delete job.error;
+  if (outputConfig.mode === 'hls') {
+    job.files = listHLSOutputs(ctx);
+  }
+  saveJob(ctx, job);
+  ctx.currentJob = null;
+  return manifest;
+}
+
+/**
+ * Starts a run and returns its promise, extended with on/once/off for the run's
+ * events and cancel() to stop it. Listeners attached right after the call
+ * receive every event, because the run starts on the next tick.
+ *
+ * Events: 'log' ({ level, message }), 'progress' (percent, speed, ETA and the
+ * chunks in flight) and 'chunk' ({ index, file, status } as chunks start and finish;
+ * status is 'started', 'complete' or 'failed'). In a single pass a chunk is
+ * reported complete once the segment muxer opens the next file, and a failure
+ * fails the run rather than one chunk. toHLS() sends no 'chunk' events.
+ */
+function startTask(inputFile, options, kind) {
+  const events = new EventEmitter();
+  let ctx = null;
+  let cancelRequested = false;
+
+  const promise = Promise.resolve().then(() => {
+    ctx = createContext(inputFile, options, events, kind);
+    ctx.cancelled = cancelRequested;
+    return runTask(ctx);
+  });
+
+  return Object.assign(promise, {
+    on(event, listener) {
+      events.on(event, listener);
+      return this;
+    },
+    once(event, listener) {
+      events.once(event, listener);
+      return this;
+    },
+    off(event, listener) {
+      events.off(event, listener);
+      return this;
+    },
+    // Stops ffmpeg, removes partial chunks and marks the job interrupted so it can
+    // be resumed. Returns true when a job's progress was recorded.
+    cancel() {
+      cancelRequested = true;
+      return ctx ? interruptJob(ctx) : false;
+    }
+  });
+}
+
+/**
+ * Strips dots and whitespace from a user supplied file extension
+ */
+function normalizeExtension(input) {
+  return String(input).replace(/\./g, '').toLowerCase().trim();
+}
+
+/**
+ * Parses --scale: a height ("720") or a bounding box ("1280x720")
+ */
+function parseScale(value) {
+  const match = /^(?:(\d+)x)?(\d+)$/i.exec(String(value).trim());
+  if (!match || Number(match[2]) < 2 || (match[1] !== undefined && Number(match[1]) < 2)) {
+    throw new Error(`Invalid --scale "${value}". Use a height such as 720 or a bounding box such as 1280x720.`);
+  }
+  return { width: match[1] !== undefined ? Number(match[1]) : null, height: Number(match[2]) };
+}
+
+/**
+ * Parses --crop: "width:height" (centred) or "width:height:x:y", in source pixels
+ */
+function parseCrop(value) {
+  const match = /^(\d+):(\d+)(?::(\d+):(\d+))?$/.exec(String(value).trim());
+  if (!match || Number(match[1]) < 2 || Number(match[2]) < 2) {
+    throw new Error(`Invalid --crop "${value}". Use width:height to crop the centre, or width:height:x:y.`);
+  }
+  if (Number(match[1]) % 2 !== 0 || Number(match[2]) % 2 !== 0) {
+    throw new Error(`Invalid --crop "${value}". Width and height must be even numbers of pixels.`);
+  }
+  return {
+    width: Number(match[1]),
+    height: Number(match[2]),
+    x: match[3] !== undefined ? Number(match[3]) : null,
+    y: match[4] !== undefined ? Number(match[4]) : null
+  };
+}
+
+/**
+ * Parses a frame rate such as 25, 29.97 or 30000/1001; returns NaN when invalid
+ */
+function parseFrameRate(value) {
+  const match = /^(\d+(?:\.\d+)?)(?:\/(\d+))?$/.exec(String(value).trim());
+  return match ? Number(match[1]) / (match[2] !== undefined ? Number(match[2]) : 1) : NaN;
+}
+
+/**
+ * Reads an adaptive bitrate ladder from a list of heights ("1080,720,480") or a
+ * JSON file holding an array (or { ladder: [...] }) of { height, videoBitrate, audioBitrate }.
+ * Bitrates are kbps numbers or strings like "2800k"; missing ones come from HLS_LADDER_BITRATES.
+ * Rungs are returned highest first.
+ */
+function parseLadder(value) {
+  let rungs;
+
+  if (/\.json$/i.test(value)) {
+    if (!fs.existsSync(value)) {
+      throw new Error(`Ladder file not found: "${value}"`);
+    }
+    const parsed = JSON.parse(fs.readFileSync(value, 'utf8'));
+    rungs = Array.isArray(parsed) ? parsed : parsed.ladder;
+    if (!Array.isArray(rungs) || rungs.length === 0) {
+      throw new Error(`Ladder file ${value} must contain an array of rungs`);
+    }
+  } else {
+    rungs = value.split(',').map(height => ({ height: height.trim().replace(/p$/i, '') }));
+  }
+
+  const ladder = rungs.map((rung, i) => {
+    const height = Number(rung.height);
+    if (!Number.isInteger(height) || height <= 0 || height % 2 !== 0) {
+      throw new Error(`Invalid HLS ladder rung ${i + 1}: height must be a positive even number of pixels`);
+    }
+
+    const defaults = ladderDefaults(height);
+    const videoBitrate = rung.videoBitrate !== undefined ? parseInt(rung.videoBitrate, 10) : defaults.video;
+    const audioBitrate = rung.audioBitrate !== undefined ? parseInt(rung.audioBitrate, 10) : defaults.audio;
+    if (!(videoBitrate > 0) || !(audioBitrate > 0)) {
+      throw new Error(`Invalid HLS ladder rung ${i + 1}: bitrates must be positive kbps values`);
+    }
+
+    return { name: `${height}p`, height, videoBitrate, audioBitrate };
+  });
+
+  const heights = ladder.map(rung => rung.height);
+  if (new Set(heights).size !== heights.length) {
+    throw new Error('HLS ladder contains the same height twice');
+  }
+
+  return ladder.sort((a, b) => b.height - a.height);
+}
+
+/**
+ * Default bitrates for a rung: the table entry for the smallest height at or above it
+ */
+function ladderDefaults(height) {
+  const heights = Object.keys(HLS_LADDER_BITRATES).map(Number).sort((a, b) => a - b);
+  const match = heights.find(candidate => candidate >= height) || heights[heights.length - 1];
+  return HLS_LADDER_BITRATES[match];
+}
+
+/**
+ * Encryption settings from the options, or null when HLS output stays unencrypted
+ */
+function getEncryptionConfig(ctx) {
+  const enabled = ctx.options.hlsEncrypt || ctx.options.hlsKeyFile !== undefined || ctx.options.hlsKeyRotate !== undefined;
+  if (!enabled) {
+    return null;
+  }
+
+  return {
+    keyFile: ctx.options.hlsKeyFile,
+    keyUri: ctx.options.hlsKeyUri,
+    keyDir: path.resolve(ctx.options.hlsKeyDir || defaultKeyDir(ctx.outputDir)),
+    rotateEvery: ctx.options.hlsKeyRotate !== undefined ? parseInt(ctx.options.hlsKeyRotate, 10) : null
+  };
+}
+
+/**
+ * Default key directory: a sibling of the output directory ("out" -> "out_keys"),
+ * resolved first so "out/" or "." never put it inside the output
+ */
+function defaultKeyDir(outputDir) {
+  return `${path.resolve(outputDir)}_keys`;
+}
+
+/**
+ * Reads a user supplied AES-128 key: either exactly 16 raw bytes, or a text
+ * file with the key as 32 hex characters and an optional hex IV on the next line
+ */
+function readHLSKeyFile(keyFile) {
+  if (!fs.existsSync(keyFile)) {
+    throw new Error(`Key file not found: "${keyFile}"`);
+  }
+
+  const content = fs.readFileSync(keyFile);
+  if (content.length === 16) {
+    return { key: content, iv: null };
+  }
+
+  const [keyHex, ivHex] = content.toString('utf8').trim().split(/\s+/).map(line => line.replace(/^0x/i, ''));
+  if (!/^[0-9a-f]{32}$/i.test(keyHex || '') || (ivHex && !/^[0-9a-f]{32}$/i.test(ivHex))) {
+    throw new Error(`Key file ${keyFile} must hold 16 raw bytes or a 32 character hex key (and optional hex IV)`);
+  }
+  return { key: Buffer.from(keyHex, 'hex'), iv: ivHex ? Buffer.from(ivHex, 'hex') : null };
+}
+
+/**
+ * Container extension of a source file, used by fast mode
+ */
+function sourceExtension(file) {
+  return path.extname(file).slice(1).toLowerCase() || 'mp4';
+}
+
+/**
+ * Gets video metadata using ffprobe
+ */
+function getVideoMetadata(inputFile) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(inputFile, ['-show_chapters'], (err, metadata) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      
+      const duration = metadata.format.duration;
+      const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+      const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
+      const subtitleStreams = metadata.streams.filter(stream => stream.codec_type === 'subtitle');
+      
+      resolve({
+        duration,
+        formatName: metadata.format.format_name,
+        size: Number(metadata.format.size) || undefined,
+        streams: metadata.streams.map(stream => ({
+          index: stream.index,
+          type: stream.codec_type,
+          codec: stream.codec_name,
+          profile: stream.profile,
+          ...(stream.codec_type === 'video' && {
+            width: stream.width,
+            height: stream.height,
+            frameRate: stream.avg_frame_rate,
+            pixelFormat: stream.pix_fmt
+          }),
+          ...(stream.codec_type === 'audio' && {
+            sampleRate: Number(stream.sample_rate) || undefined,
+            channels: stream.channels
+          }),
+          bitrate: Number(stream.bit_rate) || undefined,
+          language: stream['TAG:language'] || stream.tags?.language
+        })),
+        hasVideo: !!videoStream,
+        hasAudio: !!audioStream,
+        hasSubtitles: subtitleStreams.length > 0,
+        subtitleStreams: subtitleStreams.map(stream => ({
+          index: stream.index,
+          codec: stream.codec_name,
+          language: stream['TAG:language'] || stream.tags?.language,
+          title: stream['TAG:title'] || stream.tags?.title
+        })),
+        videoCodec: videoStream?.codec_name,
+        audioCodec: audioStream?.codec_name,
+        videoProfile: videoStream?.profile,
+        videoLevel: videoStream?.level,
+        audioProfile: audioStream?.profile,
+        width: videoStream?.width,
+        height: videoStream?.height,
+        resolution: videoStream ? `${videoStream.width}x${videoStream.height}` : null,
+        bitrate: metadata.format.bit_rate,
+        startTime: Number(metadata.format.start_time) || 0,
+        chapters: (metadata.chapters || []).map((chapter, i) => ({
+          start: Number(chapter.start_time),
+          end: Number(chapter.end_time),
+          title: chapter['TAG:title'] || chapter.tags?.title || `Chapter ${i + 1}`
+        }))
+      });
+    });
+  });
+}
+
+/**
+ * Lists keyframe timestamps of the first video stream, relative to the start of the file.
+ * Reads packet flags only, so no frames are decoded.
+ */
+function getKeyframeTimes(inputFile, startTime = 0) {
+  const ffprobePath = process.env.FFPROBE_PATH || 'ffprobe';
+  const args = [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-show_entries', 'packet=pts_time,flags',
+    '-of', 'csv=print_section=0',
+    inputFile
+  ];
+
+  return new Promise((resolve, reject) => {
+    execFile(ffprobePath, args, { maxBuffer: 64 * 1024 * 1024 }, (err, stdout) => {
+      if (err) {
+        reject(new Error(`ffprobe could not read keyframes: ${err.message}`));
+        return;
+      }
+
+      const keyframes = stdout
+        .split('\n')
+        .map(line => line.trim().split(','))
+        .filter(([time, flags]) => flags && flags.includes('K') && time !== 'N/A')
+        .map(([time]) => Math.max(0, parseFloat(time) - startTime))
+        .filter(time => Number.isFinite(time))
+        .sort((a, b) => a - b);
+
+      resolve(keyframes);
+    });
+  });
+}
+
+/**
+ * Lays out fixed-length chunks; each selected range starts a new chunk
+ */
+function planFixedChunks(ctx, ranges) {
+  const chunks = [];
+  for (const range of ranges) {
+    for (let start = range.start; start < range.end; start += ctx.chunkLength) {
+      chunks.push({ start, end: Math.min(start + ctx.chunkLength, range.end) });
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Lays out chunks of about chunkLength whose boundaries are moved to the
+ * nearest candidate point (keyframe, silence) within the tolerance window.
+ * Without a candidate in the window a boundary goes to the nearest fallback
+ * point (a keyframe in fast mode) or stays on its nominal time, unless the
+ * tolerance is unlimited, in which case the last chunk runs to the end of its
+ * range. Each selected range is laid out on its own.
+ */
+function planSnappedChunks(ctx, ranges, points, tolerance = Infinity, fallback = []) {
+  const chunks = [];
+  const cutPoints = [];
+
+  for (const range of ranges) {
+    const boundaries = [range.start];
+    let target = range.start + ctx.chunkLength;
+
+    while (target < range.end) {
+      const last = boundaries[boundaries.length - 1];
+      let nearest = null;
+
+      for (const time of points) {
+        if (time > target + tolerance || time >= range.end) break;
+        if (time <= last || time < target - tolerance) continue;
+        if (nearest === null || Math.abs(time - target) < Math.abs(nearest - target)) {
+          nearest = time;
+        }
+        if (time > target) break;
+      }
+
+      if (nearest === null && tolerance === Infinity) break;
+      let cut = nearest;
+      if (cut === null) {
+        const closest = fallback
+          .filter(time => time > last && time < range.end)
+          .reduce((best, time) => (best === null || Math.abs(time - target) < Math.abs(best - target) ? time : best), null);
+        cut = closest !== null ? closest : target;
+      }
+      cutPoints.push({ nominal: target, cut, snapped: nearest !== null });
+      boundaries.push(cut);
+      target = cut + ctx.chunkLength;
+    }
+
+    chunks.push(...boundaries.map((start, i) => ({
+      start,
+      end: i + 1 < boundaries.length ? boundaries[i + 1] : range.end
+    })));
+  }
+
+  return { chunks, cutPoints };
+}
+
+/**
+ * Finds silent stretches in the first audio stream with ffmpeg's silencedetect
+ * filter. Returns { start, end } pairs relative to the start of the file.
+ */
+function detectSilence(inputFile, { threshold, minDuration }, startTime = 0) {
+  return new Promise((resolve, reject) => {
+    const silences = [];
+    let silenceStart = null;
+
+    ffmpeg(inputFile)
+      .noVideo()
+      .audioFilters(`silencedetect=noise=${threshold}dB:d=${minDuration}`)
+      .format('null')
+      .output('-')
+      .on('stderr', (line) => {
+        const startMatch = line.match(/silence_start: (-?[\d.]+)/);
+        const endMatch = line.match(/silence_end: (-?[\d.]+)/);
+        if (startMatch) {
+          silenceStart = parseFloat(startMatch[1]) - startTime;
+        } else if (endMatch && silenceStart !== null) {
+          silences.push({ start: Math.max(0, silenceStart), end: parseFloat(endMatch[1]) - startTime });
+          silenceStart = null;
+        }
+      })
+      .on('end', () => resolve(silences))
+      .on('error', (err) => reject(new Error(`Silence detection failed: ${err.message}`)))
+      .run();
+  });
+}
+
+/**
+ * Measures the loudness of the source, or of its selected part, with a first
+ * loudnorm pass (EBU R128): integrated loudness, true peak, loudness range,
+ * gating threshold and the offset to the target
+ */
+function measureLoudness(ctx, target) {
+  return new Promise((resolve, reject) => {
+    const lines = [];
+    const measure = `loudnorm=I=${target}:TP=${LOUDNORM_TRUE_PEAK}:LRA=${LOUDNORM_RANGE}:print_format=json`;
+    const { command, sources } = sourceCommand(ctx);
+    if (sources > 1) {
+      command.complexFilter(`${concatSources(sources, false, true)},${measure}[measured]`).outputOptions(['-map', '[measured]']);
+    } else {
+      command.noVideo().audioFilters(measure);
+    }
+    command
+      .format('null')
+      .output('-')
+      .on('stderr', line => lines.push(line))
+      .on('end', () => {
+        // The statistics are the last JSON object ffmpeg prints
+        const text = lines.join('\n');
+        let stats;
+        try {
+          stats = JSON.parse(text.slice(text.lastIndexOf('{'), text.lastIndexOf('}') + 1));
+        } catch (err) {
+          reject(new Error('Loudness measurement failed: ffmpeg printed no loudnorm statistics'));
+          return;
+        }
+        const measured = {
+          integrated: Number(stats.input_i),
+          truePeak: Number(stats.input_tp),
+          range: Number(stats.input_lra),
+          threshold: Number(stats.input_thresh),
+          offset: Number(stats.target_offset)
+        };
+        if (!Object.values(measured).every(Number.isFinite)) {
+          reject(new Error('Loudness measurement failed: the audio is silent'));
+          return;
+        }
+        resolve(measured);
+      })
+      .on('error', err => reject(new Error(`Loudness measurement failed: ${err.message}`)));
+    trackCommand(ctx, command);
+    command.run();
+  });
+}
+
+/**
+ * Measures the source once and returns a linear loudnorm filter with the
+ * measured values, so every chunk or segment gets the same gain and volume is
+ * consistent between clips. loudnorm works at 192 kHz, so the filter resamples
+ * back to the source's rate.
+ */
+async function prepareLoudnorm(ctx, metadata) {
+  const target = Number(ctx.options.loudnessTarget);
+  ctx.log.info(`Measuring loudness (EBU R128, target ${target} LUFS)...`);
+  const measured = await measureLoudness(ctx, target);
+  const audioStream = metadata.streams.find(stream => stream.type === 'audio');
+
+  ctx.log.success(`Loudness: ${measured.integrated} LUFS, true peak ${measured.truePeak} dBTP, range ${measured.range} LU - adjusting by ${(target - measured.integrated).toFixed(1)} dB`);
+  updateMetadata(ctx, { loudness: { target, truePeak: LOUDNORM_TRUE_PEAK, range: LOUDNORM_RANGE, measured } });
+
+  return [
+    `loudnorm=I=${target}:TP=${LOUDNORM_TRUE_PEAK}:LRA=${LOUDNORM_RANGE}`,
+    `measured_I=${measured.integrated}:measured_TP=${measured.truePeak}:measured_LRA=${measured.range}`,
+    `measured_thresh=${measured.threshold}:offset=${measured.offset}:linear=true,aresample=${(audioStream && audioStream.sampleRate) || 48000}`
+  ].join(':');
+}
+
+/**
+ * Parses seconds, MM:SS or HH:MM:SS(.mmm) into seconds; returns NaN when invalid
+ */
+function parseTimestamp(value) {
+  const text = String(value).trim().replace(',', '.');
+  if (!/^\d+(:[0-5]?\d){0,2}(\.\d+)?$/.test(text)) {
+    return NaN;
+  }
+  return text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Parses --exclude: comma-separated start-end ranges such as "10:00-12:30,40:00-41:15"
+ */
+function parseRanges(value) {
+  return String(value).split(',').map((part) => {
+    const match = /^\s*([\d:.]+)\s*-\s*([\d:.]+)\s*$/.exec(part);
+    const start = match ? parseTimestamp(match[1]) : NaN;
+    const end = match ? parseTimestamp(match[2]) : NaN;
+    if (!(start < end)) {
+      throw new Error(`Invalid --exclude range "${part.trim()}". Use start-end pairs such as 10:00-12:30, separated by commas.`);
+    }
+    return { start, end };
+  });
+}
+
+/**
+ * The part of the source a run uses (--start, --end, --exclude): the ranges
+ * of source time that are kept, each with where it starts in the trimmed
+ * output. Returns null when the whole source is used.
+ */
+function resolveSelection(ctx, metadata) {
+  const { options } = ctx;
+  if (options.start === undefined && options.end === undefined && options.exclude === undefined) {
+    return null;
+  }
+
+  const start = options.start !== undefined ? parseTimestamp(options.start) : 0;
+  let end = options.end !== undefined ? parseTimestamp(options.end) : metadata.duration;
+  if (start >= metadata.duration) {
+    throw new Error(`--start ${options.start} is past the end of the source (${formatSubtitleTime(metadata.duration, 'vtt')}).`);
+  }
+  if (end > metadata.duration) {
+    ctx.log.warning(`--end ${options.end} is past the end of the source - using the rest of it.`);
+    end = metadata.duration;
+  }
+
+  const exclude = options.exclude !== undefined ? parseRanges(options.exclude) : [];
+  let kept = [{ start, end }];
+  for (const cut of exclude) {
+    kept = kept.flatMap(range => [
+      { start: range.start, end: Math.min(range.end, cut.start) },
+      { start: Math.max(range.start, cut.end), end: range.end }
+    ]).filter(range => range.end - range.start > 0.001);
+  }
+  if (kept.length === 0) {
+    throw new Error('Nothing is left to process: --exclude removes everything between --start and --end.');
+  }
+
+  return { start, end, exclude, ...placeRanges(kept) };
+}
+
+/**
+ * Gives each kept range of source time where it starts in the trimmed output
+ */
+function placeRanges(kept) {
+  let outputStart = 0;
+  const ranges = kept.map((range) => {
+    const placed = { start: range.start, end: range.end, outputStart };
+    outputStart += range.end - range.start;
+    return placed;
+  });
+  return { ranges, duration: outputStart };
+}
+
+/**
+ * Moves the start of every selected range forward to the next keyframe, as
+ * stream copy can only start there and would otherwise take in what comes
+ * before it. A range without a keyframe is left out.
+ */
+function snapSelectionToKeyframes(ctx, keyframes) {
+  const time = value => formatSubtitleTime(value, 'vtt');
+  const kept = [];
+  for (const range of ctx.selection.ranges) {
+    const start = keyframes.find(keyframe => keyframe >= range.start - 0.001);
+    if (start === undefined || start >= range.end - 0.001) {
+      ctx.log.warning(`No keyframe between ${time(range.start)} and ${time(range.end)} - fast mode leaves that part out.`);
+      continue;
+    }
+    if (start - range.start > 0.001) {
+      ctx.log.warning(`Fast mode starts ${time(range.start)}-${time(range.end)} at the keyframe at ${time(start)}; use --encode to start exactly on time.`);
+    }
+    kept.push({ start, end: range.end });
+  }
+  if (kept.length === 0) {
+    throw new Error('No keyframe inside the selected part of the source - use --encode to cut it exactly.');
+  }
+  ctx.selection = { ...ctx.selection, ...placeRanges(kept) };
+}
+
+/**
+ * Position in the trimmed output of a time in the source, which must lie in a selected range
+ */
+function toOutputTime(ctx, time) {
+  if (!ctx.selection) {
+    return time;
+  }
+  const range = ctx.selection.ranges.find(candidate => time >= candidate.start - 0.001 && time <= candidate.end + 0.001);
+  return range ? range.outputStart + Math.max(0, time - range.start) : null;
+}
+
+/**
+ * Where a chunk sits in the trimmed output, for the manifest; empty when the
+ * whole source is used. Chunks never span a removed part.
+ */
+function outputTiming(ctx, chunk) {
+  if (!ctx.selection) {
+    return {};
+  }
+  const outputStart = toOutputTime(ctx, chunk.start);
+  return {
+    outputStart: Number(outputStart.toFixed(6)),
+    outputEnd: Number((outputStart + chunk.end - chunk.start).toFixed(6))
+  };
+}
+
+/**
+ * Moves subtitle cues from source time to the trimmed output, dropping what
+ * falls outside the selected ranges and cutting cues that cross a removed part
+ */
+function selectCues(ctx, cues) {
+  if (!ctx.selection) {
+    return cues;
+  }
+  return ctx.selection.ranges.flatMap(range => cues
+    .filter(cue => cue.end > range.start && cue.start < range.end)
+    .map(cue => ({
+      ...cue,
+      start: Math.max(cue.start, range.start) - range.start + range.outputStart,
+      end: Math.min(cue.end, range.end) - range.start + range.outputStart
+    })));
+}
+
+/**
+ * Splits one CSV line, honouring double-quoted fields
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Reads sections from a cue file. JSON is an array (or { sections: [...] }) of
+ * { start, end, title }; CSV has one "start,end,title" row per section with an
+ * optional header. A missing end runs to the next section's start.
+ */
+function readCueFile(cueFile) {
+  const content = fs.readFileSync(cueFile, 'utf8');
+  let rows;
+
+  if (path.extname(cueFile).toLowerCase() === '.json') {
+    const parsed = JSON.parse(content);
+    rows = Array.isArray(parsed) ? parsed : parsed.sections;
+    if (!Array.isArray(rows)) {
+      throw new Error(`Cue file ${cueFile} must contain an array of sections`);
+    }
+  } else {
+    rows = content
+      .split(/\r?\n/)
+      .filter(line => line.trim() !== '')
+      .map(parseCsvLine)
+      .filter((fields, i) => !(i === 0 && fields[0].toLowerCase() === 'start'))
+      .map(([start, end, title]) => ({ start, end, title }));
+  }
+
+  return rows.map((row, i) => {
+    const start = parseTimestamp(row.start);
+    const end = row.end === undefined || row.end === '' ? undefined : parseTimestamp(row.end);
+    if (!Number.isFinite(start) || (end !== undefined && !Number.isFinite(end))) {
+      throw new Error(`Invalid time in cue file ${cueFile}, section ${i + 1}`);
+    }
+    return { start, end, title: row.title ? String(row.title) : undefined };
+  });
+}
+
+/**
+ * Parses SubRip or WebVTT text into cues of { start, end, text } in seconds.
+ * Headers, NOTE, STYLE and REGION blocks and cue settings are dropped.
+ */
+function parseSubtitles(content, source) {
+  const cues = [];
+  const blocks = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+
+  for (const block of blocks) {
+    const lines = block.trim().split('\n');
+    const timing = lines.findIndex(line => line.includes('-->'));
+    if (timing === -1) continue;
+
+    const [startText, endText] = lines[timing].split('-->');
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(endText.trim().split(/\s+/)[0]);
+    if (!Number.isFinite(start) || !Number.isFinite(end)) {
+      throw new Error(`Invalid cue timing in ${source}: "${lines[timing]}"`);
+    }
+    if (end > start) {
+      cues.push({ start, end, text: lines.slice(timing + 1).join('\n') });
+    }
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Formats seconds as a SubRip (00:01:02,500) or WebVTT (00:01:02.500) timestamp
+ */
+function formatSubtitleTime(seconds, format) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const clock = `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}`;
+  return `${clock}${format === 'srt' ? ',' : '.'}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Writes cues as SubRip or WebVTT text. headerLines (e.g. X-TIMESTAMP-MAP)
+ * follow the WEBVTT line.
+ */
+function formatSubtitles(cues, format, headerLines = []) {
+  const blocks = cues.map((cue, i) => {
+    const timing = `${formatSubtitleTime(cue.start, format)} --> ${formatSubtitleTime(cue.end, format)}`;
+    return format === 'srt' ? `${i + 1}\n${timing}\n${cue.text}` : `${timing}\n${cue.text}`;
+  });
+  if (format !== 'srt') {
+    blocks.unshift(['WEBVTT', ...headerLines].join('\n'));
+  }
+  return blocks.length > 0 ? `${blocks.join('\n\n')}\n` : '';
+}
+
+/**
+ * English name of a language code ("en", "eng", "pt-BR"), or the code itself when unknown
+ */
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+  } catch (err) {
+    return code;
+  }
+}
+
+/**
+ * Extracts an embedded text subtitle stream as WebVTT, with times relative to the start of the file
+ */
+function extractSubtitleStream(inputFile, streamIndex) {
+  const ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+  const args = ['-v', 'error', '-i', inputFile, '-map', `0:${streamIndex}`, '-f', 'webvtt', '-'];
+
+  return new Promise((resolve, reject) => {
+    execFile(ffmpegPath, args, { maxBuffer: 64 * 1024 * 1024 }, (err, stdout) => {
+      if (err) {
+        reject(new Error(`ffmpeg could not extract subtitle stream ${streamIndex}: ${err.message}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Loads the subtitle tracks of a run: the --subtitles file or, without one,
+ * every embedded text subtitle stream (none with --no-subtitles). Each track
+ * has a label for file names, its language and name when known, the format
+ * chunk subtitles are written in, and its cues.
+ */
+async function loadSubtitleTracks(ctx, metadata) {
+  const { subtitles } = ctx.options;
+  const tracks = [];
+
+  if (subtitles === false) {
+    return tracks;
+  }
+
+  if (subtitles !== undefined) {
+    // "lecture.en.srt" names its language
+    const language = path.parse(path.parse(subtitles).name).ext.slice(1);
+    const known = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i.test(language) ? language : undefined;
+    tracks.push({
+      source: 'file',
+      file: path.resolve(subtitles),
+      language: known,
+      name: known ? languageName(known) : path.parse(subtitles).name,
+      format: path.extname(subtitles).slice(1).toLowerCase(),
+      cues: parseSubtitles(fs.readFileSync(subtitles, 'utf8'), subtitles)
+    });
+  } else {
+    for (const stream of metadata.subtitleStreams) {
+      if (!TEXT_SUBTITLE_CODECS.includes(stream.codec)) {
+        ctx.log.warning(`Skipping subtitle stream #${stream.index} (${stream.codec}) - bitmap subtitles cannot be converted to text.`);
+        continue;
+      }
+      try {
+        ctx.log.info(`Extracting subtitle stream #${stream.index} (${stream.language || stream.codec})...`);
+        const cues = parseSubtitles(await extractSubtitleStream(ctx.inputFile, stream.index), `subtitle stream #${stream.index}`);
+        tracks.push({
+          source: 'embedded',
+          streamIndex: stream.index,
+          language: stream.language,
+          name: stream.title || (stream.language ? languageName(stream.language) : `Subtitles ${tracks.length + 1}`),
+          format: 'vtt',
+          cues
+        });
+      } catch (err) {
+        ctx.log.warning(`Skipping subtitle stream #${stream.index}: ${err.message}`);
+      }
+    }
+  }
+
+  // Labels tell the files of several tracks apart
+  const labels = new Set();
+  tracks.forEach((track, i) => {
+    const base = (track.language || `track${i + 1}`).replace(/[^\w-]+/g, '_');
+    let label = base;
+    for (let n = 2; labels.has(label); n++) {
+      label = `${base}_${n}`;
+    }
+    labels.add(label);
+    track.label = label;
+  });
+
+  tracks.forEach(track => ctx.log.success(`Subtitles: ${track.name} (${track.cues.length} cue(s)${track.source === 'embedded' ? `, stream #${track.streamIndex}` : ''})`));
+  if (tracks.some(track => track.cues.length === 0)) {
+    ctx.log.warning('A subtitle track has no cues - its files will be empty.');
+  }
+  return tracks;
+}
+
+/**
+ * Writes each chunk's part of every subtitle track next to the chunk, re-timed
+ * to start at zero (or after the intro), and records the files on the chunk.
+ * Chunks are cut by then, so cues follow where each chunk really starts. A
+ * track with no cues in a chunk gets no file.
+ */
+function writeChunkSubtitles(ctx, chunks) {
+  const tracks = ctx.subtitleTracks;
+  const offset = introDuration(ctx);
+  for (const chunk of chunks) {
+    const base = chunk.file.slice(0, -path.extname(chunk.file).length);
+    chunk.subtitles = tracks.flatMap((track) => {
+      const file = `${base}${tracks.length > 1 ? `.${track.label}` : ''}.${track.format}`;
+      const cues = track.cues
+        .filter(cue => cue.end > chunk.start && cue.start < chunk.end)
+        .map(cue => ({ ...cue, start: Math.max(cue.start, chunk.start) - chunk.start + offset, end: Math.min(cue.end, chunk.end) - chunk.start + offset }));
+      if (cues.length === 0) {
+        // A file from an earlier run would otherwise stay behind
+        fs.rmSync(path.join(ctx.outputDir, file), { force: true });
+        return [];
+      }
+      fs.writeFileSync(path.join(ctx.outputDir, file), formatSubtitles(cues, track.format));
+      return [{ file, ...(track.language && { language: track.language }), name: track.name }];
+    });
+  }
+  saveJob(ctx, ctx.currentJob);
+  ctx.log.success(`Subtitles written for ${chunks.filter(chunk => chunk.subtitles.length > 0).length} of ${chunks.length} chunks (${tracks.map(track => track.format.toUpperCase()).join(', ')})`);
+}
+
+/**
+ * Writes one frame of the source, at a time in seconds, as a JPEG
+ */
+function extractFrame(ctx, time, outputPath) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(ctx.inputFile)
+      .seekInput(time)
+      .noAudio()
+      .outputOptions(['-frames:v', '1', '-q:v', '3'])
+      .output(outputPath)
+      .on('end', resolve)
+      .on('error', (err) => {
+        fs.rmSync(outputPath, { force: true });
+        reject(err);
+      });
+    trackCommand(ctx, command, [outputPath]);
+    command.run();
+  });
+}
+
+/**
+ * Writes a poster frame (.jpg) next to every chunk and records it on the chunk.
+ * A poster that cannot be extracted is left out with a warning.
+ */
+async function writeChunkPosters(ctx, chunks) {
+  ctx.log.info(`Extracting poster frames for ${chunks.length} chunks...`);
+  let written = 0;
+  for (const chunk of chunks) {
+    if (ctx.cancelled) {
+      throw new Error('Cancelled');
+    }
+    const file = `${chunk.file.slice(0, -path.extname(chunk.file).length)}.jpg`;
+    try {
+      await extractFrame(ctx, chunk.start + (chunk.end - chunk.start) * POSTER_POSITION, path.join(ctx.outputDir, file));
+      chunk.poster = file;
+      written++;
+    } catch (err) {
+      if (ctx.cancelled) throw err;
+      delete chunk.poster;
+      ctx.log.warning(`Could not extract a poster for ${chunk.file}: ${err.message}`);
+    }
+  }
+  saveJob(ctx, ctx.currentJob);
+  ctx.log.success(`Poster frames written for ${written} of ${chunks.length} chunks`);
+}
+
+/**
+ * Renders the seek previews of HLS output: a thumbnail every THUMBNAIL_INTERVAL
+ * seconds, tiled into JPEG sprite sheets in one ffmpeg pass, and a WebVTT
+ * track whose cues point at a tile each ("sheet.jpg#xywh=x,y,w,h"), the
+ * format players such as Video.js and JW Player read. Resolves with the
+ * track's details, or null when the sheets could not be rendered.
+ */
+function createThumbnailSprites(ctx, metadata) {
+  const dir = path.join(ctx.outputDir, THUMBNAIL_DIR);
+  const name = `${ctx.filePrefix}_sprite`;
+  fs.mkdirSync(dir, { recursive: true });
+  // Sheets of an earlier, longer run would otherwise stay behind
+  fs.readdirSync(dir)
+    .filter(file => file.startsWith(`${name}_`))
+    .forEach(file => fs.rmSync(path.join(dir, file), { force: true }));
+
+  const width = THUMBNAIL_WIDTH;
+  const aspect = metadata.width && metadata.height ? metadata.height / metadata.width : 9 / 16;
+  const height = Math.max(2, Math.round(width * aspect / 2) * 2);
+  const perSheet = SPRITE_COLUMNS * SPRITE_ROWS;
+
+  ctx.log.info(`Rendering seek thumbnails (one every ${THUMBNAIL_INTERVAL} seconds, ${width}x${height})...`);
+
+  // The previews follow the selected part of the source, as the stream does
+  const duration = ctx.selection ? ctx.selection.duration : metadata.duration;
+  const { command, sources } = sourceCommand(ctx);
+  const filters = `fps=1/${THUMBNAIL_INTERVAL},scale=${width}:${height},tile=${SPRITE_COLUMNS}x${SPRITE_ROWS}`;
+  if (sources > 1) {
+    command.complexFilter(`${concatSources(sources, true, false)},${filters}[sprites]`).outputOptions(['-map', '[sprites]']);
+  } else {
+    command.noAudio().videoFilters(filters);
+  }
+
+  return new Promise((resolve, reject) => {
+    command
+      .outputOptions(['-q:v', '4', '-start_number', '1'])
+      .output(path.join(dir, `${name}_%03d.jpg`))
+      .on('progress', (progress) => {
+        if (progress.percent) {
+          ctx.emit('progress', { stage: 'thumbnails', percent: progress.percent, message: 'Rendering seek thumbnails...' });
+        }
+      })
+      .on('end', () => {
+        const sheets = fs.readdirSync(dir).filter(file => file.startsWith(`${name}_`)).sort();
+        const count = Math.min(Math.ceil(duration / THUMBNAIL_INTERVAL), sheets.length * perSheet);
+        // The thumbnails show the source, which starts after the intro in the stream
+        const offset = introDuration(ctx);
+        const cues = Array.from({ length: count }, (_, i) => {
+          const tile = i % perSheet;
+          const x = (tile % SPRITE_COLUMNS) * width;
+          const y = Math.floor(tile / SPRITE_COLUMNS) * height;
+          return {
+            start: offset + i * THUMBNAIL_INTERVAL,
+            end: offset + Math.min((i + 1) * THUMBNAIL_INTERVAL, duration),
+            text: `${sheets[Math.floor(i / perSheet)]}#xywh=${x},${y},${width},${height}`
+          };
+        });
+        const track = path.join(dir, `${ctx.filePrefix}_thumbnails.vtt`);
+        fs.writeFileSync(track, formatSubtitles(cues, 'vtt'));
+        ctx.log.success(`Seek thumbnails: ${count} in ${sheets.length} sprite sheet(s), track ${track}`);
+        resolve({
+          track: `${THUMBNAIL_DIR}/${path.basename(track)}`,
+          sprites: sheets.map(sheet => `${THUMBNAIL_DIR}/${sheet}`),
+          interval: THUMBNAIL_INTERVAL,
+          width,
+          height,
+          columns: SPRITE_COLUMNS,
+          rows: SPRITE_ROWS
+        });
+      })
+      .on('error', (err) => {
+        if (ctx.cancelled) {
+          reject(err);
+          return;
+        }
+        ctx.log.warning(`Could not render seek thumbnails: ${err.message}`);
+        resolve(null);
+      });
+    trackCommand(ctx, command);
+    command.run();
+  });
+}
+
+/**
+ * Lays out named sections from --split-at, --chapters or --cue-file. Sections
+ * are sorted, open ends run to the next section, and anything past the end of
+ * the source is dropped. Sections are cut to the selected ranges, so a
+ * section with a removed part becomes one chunk per remaining part.
+ */
+function planSectionChunks(ctx, ranges, metadata) {
+  const totalDuration = metadata.duration;
+  let sections;
+
+  if (ctx.options.splitAt !== undefined) {
+    const cuts = String(ctx.options.splitAt).split(',').map(parseTimestamp).filter(time => time > 0 && time < totalDuration);
+    const starts = [0, ...new Set(cuts)].sort((a, b) => a - b);
+    sections = starts.map(start => ({ start, title: undefined }));
+  } else if (ctx.options.chapters) {
+    if (metadata.chapters.length === 0) {
+      throw new Error('The source file has no chapter markers');
+    }
+    sections = metadata.chapters.map(chapter => ({ ...chapter }));
+  } else {
+    sections = readCueFile(ctx.options.cueFile);
+  }
+
+  sections.sort((a, b) => a.start - b.start);
+
+  const chunks = sections
+    .map((section, i) => {
+      const nextStart = i + 1 < sections.length ? sections[i + 1].start : totalDuration;
+      const end = section.end !== undefined ? section.end : nextStart;
+      return { start: section.start, end: Math.min(end, totalDuration), title: section.title };
+    })
+    .filter(chunk => chunk.end > chunk.start);
+
+  if (chunks.length < sections.length) {
+    ctx.log.warning(`Skipped ${sections.length - chunks.length} empty section(s) or section(s) past the end of the video.`);
+  }
+
+  const selected = chunks.flatMap(chunk => ranges
+    .filter(range => range.end > chunk.start && range.start < chunk.end)
+    .map(range => ({ ...chunk, start: Math.max(chunk.start, range.start), end: Math.min(chunk.end, range.end) })));
+  const outside = chunks.filter(chunk => !ranges.some(range => range.end > chunk.start && range.start < chunk.end)).length;
+  if (outside > 0) {
+    ctx.log.warning(`Skipped ${outside} section(s) outside the selected part of the video.`);
+  }
+  if (selected.length === 0) {
+    throw new Error('No usable sections to split');
+  }
+
+  return selected;
+}
+
+/**
+ * Picks the chunk layout for the selected options. Stream copy (fast mode)
+ * can only cut on a keyframe, so there --smart only cuts on keyframes inside
+ * a silence, or on the keyframe nearest to the nominal time when no silence
+ * has one, and chunks of a selection are laid on the keyframes already read.
+ */
+async function planChunks(ctx, ranges, metadata, mode, knownKeyframes = null) {
+  if (ctx.options.splitAt !== undefined || ctx.options.chapters || ctx.options.cueFile !== undefined) {
+    const boundaryMode = ctx.options.splitAt !== undefined ? 'split-at' : ctx.options.chapters ? 'chapters' : 'cue-file';
+    const chunks = planSectionChunks(ctx, ranges, metadata);
+    ctx.log.success(`Planned ${chunks.length} sections from ${boundaryMode === 'split-at' ? 'timestamps' : boundaryMode === 'chapters' ? 'chapter markers' : ctx.options.cueFile}`);
+    return { boundaryMode, chunks };
+  }
+
+  if (ctx.options.smart) {
+    if (!metadata.hasAudio) {
+      ctx.log.warning('No audio stream to listen for silence - using fixed-length boundaries.');
+      return { boundaryMode: 'fixed', chunks: planFixedChunks(ctx, ranges) };
+    }
+
+    const silenceOptions = {
+      threshold: ctx.smartThreshold,
+      minDuration: ctx.smartMinDuration
+    };
+    ctx.log.info(`Detecting silence (below ${ctx.smartThreshold} dB for at least ${ctx.smartMinDuration}s)...`);
+    const silences = await detectSilence(ctx.inputFile, silenceOptions, metadata.startTime);
+    let candidates = silences.map(silence => (silence.start + silence.end) / 2);
+    let keyframes = [];
+    if (mode === 'copy' && metadata.hasVideo) {
+      if (!knownKeyframes) {
+        ctx.log.info('Reading keyframe positions (fast mode cuts on keyframes)...');
+      }
+      keyframes = knownKeyframes || await getKeyframeTimes(ctx.inputFile, metadata.startTime);
+      candidates = keyframes.filter(time => silences.some(silence => time >= silence.start && time <= silence.end));
+    }
+    const { chunks, cutPoints } = planSnappedChunks(ctx, ranges, candidates, ctx.smartTolerance, keyframes);
+    const snapped = cutPoints.filter(point => point.snapped).length;
+
+    ctx.log.success(`Found ${silences.length} silent stretches - ${snapped} of ${cutPoints.length} cut points moved into silence`);
+    if (snapped < cutPoints.length) {
+      ctx.log.warning(`${cutPoints.length - snapped} cut point(s) had no ${keyframes.length > 0 ? 'keyframe in a silence' : 'silence'} within ±${ctx.smartTolerance}s and stay at their ${keyframes.length > 0 ? 'nearest keyframe' : 'nominal time'}.`);
+    }
+
+    return {
+      boundaryMode: 'smart',
+      chunks,
+      details: {
+        silenceDetection: { ...silenceOptions, tolerance: ctx.smartTolerance, silencesFound: silences.length },
+        cutPoints: cutPoints.map(point => ({
+          nominal: Number(point.nominal.toFixed(3)),
+          cut: Number(point.cut.toFixed(3)),
+          inSilence: point.snapped,
+          chunk: chunks.findIndex(chunk => chunk.start === point.cut) + 1
+        }))
+      }
+    };
+  }
+
+  if (ctx.options.keyframes || knownKeyframes) {
+    if (!knownKeyframes) {
+      ctx.log.info('Reading keyframe positions...');
+    }
+    const keyframes = knownKeyframes || await getKeyframeTimes(ctx.inputFile, metadata.startTime);
+    
+    if (keyframes.length > 1) {
+      const { chunks } = planSnappedChunks(ctx, ranges, keyframes);
+      ctx.log.success(`Aligned ${chunks.length} chunk boundaries to ${keyframes.length} keyframes`);
+      return { boundaryMode: 'keyframe', chunks };
+    }
+    ctx.log.warning('No keyframes found in a video stream - using fixed-length boundaries.');
+  }
+
+  return { boundaryMode: 'fixed', chunks: planFixedChunks(ctx, ranges) };
+}
+
+/**
+ * Output filename for a chunk: <prefix>_NNN, plus the section title when it has one
+ */
+function chunkFilename(ctx, chunk, index, extension) {
+  const base = `${ctx.filePrefix}_${String(index + 1).padStart(3, '0')}`;
+  const slug = chunk.title ? chunk.title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') : '';
+  return slug ? `${base}_${slug}.${extension}` : `${base}.${extension}`;
+}
+
+/**
+ * True when chunks cover the source back to back from the start (or from
+ * origin, the start of the selection), as the segment muxer requires
+ */
+function isContiguous(chunks, origin = 0) {
+  return Math.abs(chunks[0].start - origin) < 0.001 && chunks.every((chunk, i) => i === 0 || Math.abs(chunk.start - chunks[i - 1].end) < 0.001);
+}
+
+/**
+ * Adds fields to the manifest written by writeManifest() once processing has finished
+ */
+function updateMetadata(ctx, fields) {
+  Object.assign(ctx.metadataFields, fields);
+}
+
+/**
+ * Creates output directory with proper structure
+ */
+function createOutputDirectory(ctx) {
+  if (!fs.existsSync(ctx.outputDir)) {
+    ctx.log.folder(`Creating output directory: ${ctx.outputDir}`);
+    fs.mkdirSync(ctx.outputDir, { recursive: true });
+  }
+  ctx.metadataFields = {};
+}
+
+/**
+ * Codec summary of a probed output file
+ */
+function codecInfo(probe) {
+  return {
+    video: probe.hasVideo
+      ? { codec: probe.videoCodec, profile: probe.videoProfile, level: probe.videoLevel, width: probe.width, height: probe.height }
+      : null,
+    audio: probe.hasAudio ? { codec: probe.audioCodec, profile: probe.audioProfile } : null,
+    bitrate: Number(probe.bitrate) || null
+  };
+}
+
+/**
+ * Writes ielts2go_metadata.json describing everything the run produced: the
+ * source and its probe data, the effective options, and every output file with
+ * its size and checksum (chunks are also probed for duration and codecs), so
+ * importers never have to parse file names
+ */
+async function writeManifest(ctx, outputConfig, sourceProbe) {
+  const { chapters, ...probe } = sourceProbe;
+  const manifest = {
+    tool: 'IELTS2GO Video Chunker',
+    version,
+    generatedAt: new Date().toISOString(),
+    mode: outputConfig.mode,
+    source: {
+      file: path.basename(ctx.inputFile),
+      path: path.resolve(ctx.inputFile),
+      size: ctx.currentJob.source.size,
+      sha256: ctx.currentJob.source.sha256,
+      probe,
+      chapters
+    },
+    options: {
+      ...jobSettings(ctx, outputConfig),
+      cueFile: ctx.options.cueFile ? path.resolve(ctx.options.cueFile) : null,
+      subtitles: ctx.options.subtitles ? path.resolve(ctx.options.subtitles) : ctx.options.subtitles === false ? null : 'embedded',
+      outputDirectory: path.resolve(ctx.outputDir),
+      singlePass: ctx.options.singlePass,
+      jobs: ctx.jobs,
+      resumed: Boolean(ctx.currentJob.resumedAt)
+    },
+    ...ctx.metadataFields
+  };
+
+  if (ctx.currentJob.chunks) {
+    manifest.chunks = [];
+    for (const chunk of ctx.currentJob.chunks) {
+      const chunkPath = path.join(ctx.outputDir, chunk.file);
+      let chunkProbe = null;
+      try {
+        chunkProbe = await getVideoMetadata(chunkPath);
+      } catch (err) {
+        ctx.log.warning(`Could not probe ${chunk.file}: ${err.message}`);
+      }
+      manifest.chunks.push({
+        index: chunk.index,
+        file: chunk.file,
+        ...(chunk.title !== undefined && { title: chunk.title }),
+        start: Number(chunk.start.toFixed(6)),
+        end: Number(chunk.end.toFixed(6)),
+        ...outputTiming(ctx, chunk),
+        duration: chunkProbe ? Number(chunkProbe.duration) || null : null,
+        size: chunk.size,
+        sha256: chunk.sha256,
+        ...(chunk.subtitles && chunk.subtitles.length > 0 && { subtitles: chunk.subtitles }),
+        ...(chunk.poster && { poster: chunk.poster }),
+        mode: outputConfig.mode,
+        ...(chunkProbe ? codecInfo(chunkProbe) : { video: null, audio: null, bitrate: null })
+      });
+    }
+  } else {
+    manifest.files = [];
+    for (const output of listHLSOutputs(ctx)) {
+      manifest.files.push({ ...output, sha256: await fileChecksum(path.join(ctx.outputDir, output.file)) });
+    }
+  }
+
+  const metadataPath = path.join(ctx.outputDir, METADATA_FILE);
+  fs.writeFileSync(metadataPath, JSON.stringify(manifest, null, 2));
+  ctx.log.success(`Manifest saved to: ${metadataPath}`);
+  return manifest;
+}
+
+/**
+ * SHA-256 of a file, streamed so large sources never sit in memory
+ */
+function fileChecksum(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('data', (data) => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Settings that change what a run writes; a previous job is only reused when they match
+ */
+function jobSettings(ctx, outputConfig) {
+  return {
+    output: outputConfig,
+    chunkLength: ctx.chunkLength,
+    prefix: ctx.filePrefix,
+    quality: outputConfig.mode === 'copy' || outputConfig.mode === 'audio' ? null : ctx.qualityPreset,
+    splitAt: ctx.options.splitAt || null,
+    chapters: Boolean(ctx.options.chapters),
+    cueFile: ctx.options.cueFile ? contentHash(ctx.options.cueFile) : null,
+    smart: ctx.options.smart ? { threshold: ctx.smartThreshold, minDuration: ctx.smartMinDuration, window: ctx.smartTolerance } : null,
+    keyframes: Boolean(ctx.options.keyframes),
+    subtitles: ctx.options.subtitles === false ? null
+      : ctx.options.subtitles !== undefined ? contentHash(ctx.options.subtitles) : 'embedded',
+    player: outputConfig.mode === 'hls' ? ctx.options.hlsPlayer : null,
+    thumbnails: Boolean(ctx.options.thumbnails),
+    loudnorm: ctx.options.loudnorm ? Number(ctx.options.loudnessTarget) : null,
+    watermark: ctx.options.watermark ? {
+      image: contentHash(ctx.options.watermark),
+      position: ctx.options.watermarkPosition,
+      margin: Number(ctx.options.watermarkMargin),
+      opacity: Number(ctx.options.watermarkOpacity),
+      scale: Number(ctx.options.watermarkScale)
+    } : null,
+    intro: ctx.options.intro ? contentHash(ctx.options.intro) : null,
+    outro: ctx.options.outro ? contentHash(ctx.options.outro) : null,
+    selection: ctx.selection ? ctx.selection.ranges.map(range => [range.start, range.end]) : null
+  };
+}
+
+/**
+ * SHA-256 of a small file given as an option (cue file, subtitles, intro clip)
+ */
+function contentHash(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * Writes the job manifest through a temporary file so an interrupt never leaves it half written
+ */
+function saveJob(ctx, job) {
+  const manifestPath = path.join(ctx.outputDir, JOB_MANIFEST);
+  job.updatedAt = new Date().toISOString();
+  fs.writeFileSync(`${manifestPath}.tmp`, JSON.stringify(job, null, 2));
+  fs.renameSync(`${manifestPath}.tmp`, manifestPath);
+}
+
+/**
+ * Reads the job manifest left in the output directory by an earlier run, or null
+ */
+function readJob(ctx) {
+  const manifestPath = path.join(ctx.outputDir, JOB_MANIFEST);
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * True when a chunk is recorded as complete and its file still has the recorded size and checksum
+ */
+async function verifyChunk(ctx, chunk) {
+  const chunkPath = path.join(ctx.outputDir, chunk.file);
+  return chunk.status === 'complete'
+    && fs.existsSync(chunkPath)
+    && fs.statSync(chunkPath).size === chunk.size
+    && await fileChecksum(chunkPath) === chunk.sha256;
+}
+
+/**
+ * Records a finished chunk's size and checksum in the job manifest
+ */
+async function completeChunk(ctx, chunk) {
+  const chunkPath = path.join(ctx.outputDir, chunk.file);
+  chunk.size = fs.statSync(chunkPath).size;
+  chunk.sha256 = await fileChecksum(chunkPath);
+  chunk.status = 'complete';
+  if (ctx.currentJob) {
+    saveJob(ctx, ctx.currentJob);
+  }
+}
+
+/**
+ * Files written by an HLS or DASH job, relative to the output directory
+ */
+function listHLSOutputs(ctx) {
+  const walk = (dir) => fs.readdirSync(dir).flatMap((name) => {
+    const file = path.join(dir, name);
+    return fs.statSync(file).isDirectory() ? walk(file) : [file];
+  });
+  return [`${ctx.filePrefix}_master.m3u8`, 'hls', 'dash', THUMBNAIL_DIR, 'player.html', HLS_JS_FILE, 'PLAYBACK.md']
+    .map(name => path.join(ctx.outputDir, name))
+    .filter(file => fs.existsSync(file))
+    .flatMap(file => (fs.statSync(file).isDirectory() ? walk(file) : [file]))
+    .map(file => ({ file: path.relative(ctx.outputDir, file), size: fs.statSync(file).size }));
+}
+
+/**
+ * Compares the current source and settings with the job manifest of an earlier
+ * run. Returns the job to run, and upToDate when the earlier run finished and
+ * its output is intact, so there is nothing to do. With --resume the earlier
+ * job is continued: verified chunks are kept and the rest set back to pending.
+ */
+async function openJob(ctx, outputConfig) {
+  ctx.log.info('Fingerprinting source...');
+  const source = {
+    file: path.basename(ctx.inputFile),
+    size: fs.statSync(ctx.inputFile).size,
+    sha256: await fileChecksum(ctx.inputFile)
+  };
+  const settings = jobSettings(ctx, outputConfig);
+  const fresh = { version: 1, status: 'running', startedAt: new Date().toISOString(), source, settings, plan: null, chunks: null, files: null };
+  const previous = readJob(ctx);
+
+  if (!previous) {
+    if (ctx.options.resume) {
+      ctx.log.info('No earlier run found in the output directory - starting a new one');
+    }
+    return { job: fresh, upToDate: false };
+  }
+
+  if (JSON.stringify([previous.source, previous.settings]) !== JSON.stringify([source, settings])) {
+    ctx.log.info('Source or settings changed since the last run in this directory - starting over');
+    // Outputs of the old settings would otherwise sit next to the new ones
+    [...(previous.chunks || []).flatMap(chunk => [chunk, ...(chunk.subtitles || []), ...(chunk.poster ? [{ file: chunk.poster }] : [])]), ...(previous.files || []), { file: METADATA_FILE }]
+      .forEach(output => fs.rmSync(path.join(ctx.outputDir, output.file), { force: true }));
+    return { job: fresh, upToDate: false };
+  }
+
+  let intact = 0;
+  if (previous.chunks) {
+    for (const chunk of previous.chunks) {
+      if (await verifyChunk(ctx, chunk)) {
+        intact++;
+      } else {
+        chunk.status = 'pending';
+      }
+    }
+  }
+
+  if (previous.status === 'complete') {
+    const outputsIntact = previous.chunks
+      ? intact === previous.chunks.length
+      : previous.files.every(({ file, size }) => fs.existsSync(path.join(ctx.outputDir, file)) && fs.statSync(path.join(ctx.outputDir, file)).size === size);
+    if (outputsIntact) {
+      return { job: previous, upToDate: true };
+    }
+  }
+
+  if (!ctx.options.resume) {
+    const state = previous.status === 'complete' ? 'has missing or changed output' : 'did not finish';
+    ctx.log.info(`An earlier run in this directory ${state}${intact ? ` (${intact} chunk(s) intact)` : ''} - starting over. Use --resume to keep the intact chunks instead.`);
+    return { job: fresh, upToDate: false };
+  }
+
+  if (!previous.chunks) {
+    ctx.log.info('HLS output cannot be resumed part way - encoding it again');
+    return { job: fresh, upToDate: false };
+  }
+
+  // Whatever is left of pending chunks is partial or corrupt
+  previous.chunks
+    .filter(chunk => chunk.status !== 'complete')
+    .forEach(chunk => fs.rmSync(path.join(ctx.outputDir, chunk.file), { force: true }));
+  ctx.log.info(`Resuming: ${intact} of ${previous.chunks.length} chunks already complete and verified`);
+  return { job: { ...previous, status: 'running', resumedAt: new Date().toISOString() }, upToDate: false };
+}
+
+/**
+ * Stops the chunks being written, removes their partial files and marks the
+ * job interrupted. Returns true when there was a job to record.
+ */
+function interruptJob(ctx) {
+  ctx.cancelled = true;
+  for (const [command, files] of ctx.activeCommands) {
+    command.kill('SIGKILL');
+    files.forEach(file => fs.rmSync(file, { force: true }));
+  }
+  ctx.activeCommands.clear();
+
+  if (!ctx.currentJob) {
+    return false;
+  }
+  ctx.currentJob.status = 'interrupted';
+  saveJob(ctx, ctx.currentJob);
+  return true;
+}
+
+/**
+ * Processes video chunks with enhanced progress tracking
+ */
+async function processChunks(ctx, totalDuration, outputConfig, metadata) {
+  const { mode, extension } = outputConfig;
+  const startTime = Date.now();
+  
+  // Stream copy can only start a chunk on a keyframe, so in fast mode the selection is laid on keyframes
+  let keyframes = null;
+  if (ctx.selection && mode === 'copy' && metadata.hasVideo) {
+    ctx.log.info('Reading keyframe positions (fast mode starts chunks on keyframes)...');
+    keyframes = await getKeyframeTimes(ctx.inputFile, metadata.startTime);
+    if (keyframes.length > 0) {
+      snapSelectionToKeyframes(ctx, keyframes);
+    } else {
+      ctx.log.warning('No keyframes found in a video stream - chunks may start before the selected times.');
+      keyframes = null;
+    }
+  }
+
+  if (ctx.selection) {
+    const { start, end, exclude, ranges, duration } = ctx.selection;
+    updateMetadata(ctx, {
+      selection: {
+        start,
+        end,
+        exclude,
+        ranges: ranges.map(range => ({ ...range, outputEnd: range.outputStart + range.end - range.start })),
+        duration
+      }
+    });
+  }
+
+  ctx.subtitleTracks = await loadSubtitleTracks(ctx, metadata);
+  if (ctx.subtitleTracks.length > 0) {
+    updateMetadata(ctx, {
+      subtitles: ctx.subtitleTracks.map(({ cues, label, ...track }) => ({ ...track, cues: cues.length }))
+    });
+  }
+
+  const thumbnails = ctx.options.thumbnails && metadata.hasVideo;
+  if (ctx.options.thumbnails && !metadata.hasVideo) {
+    ctx.log.warning('The source has no video stream - skipping --thumbnails.');
+  }
+
+  if (ctx.options.loudnorm) {
+    if (metadata.hasAudio) {
+      ctx.loudnormFilter = await prepareLoudnorm(ctx, metadata);
+    } else {
+      ctx.log.warning('The source has no audio stream - skipping --loudnorm.');
+    }
+  }
+
+  if (ctx.composition) {
+    const { intro, outro, watermark } = ctx.composition;
+    updateMetadata(ctx, {
+      composition: {
+        intro: intro && { file: path.basename(intro.file), duration: intro.duration },
+        outro: outro && { file: path.basename(outro.file), duration: outro.duration },
+        watermark: watermark && { ...watermark, file: path.basename(watermark.file) }
+      }
+    });
+  }
+
+  // Special handling for HLS mode
+  if (mode === 'hls') {
+    if (thumbnails) {
+      ctx.thumbnails = await createThumbnailSprites(ctx, metadata);
+      if (ctx.thumbnails) {
+        updateMetadata(ctx, { hlsThumbnails: ctx.thumbnails });
+      }
+    }
+    return await processHLSStream(ctx, ctx.selection ? ctx.selection.duration : totalDuration, outputConfig, metadata);
+  }
+  
+  // Standard chunking process for non-HLS modes; a resumed job keeps its original plan
+  if (!ctx.currentJob.chunks) {
+    const ranges = ctx.selection ? ctx.selection.ranges : [{ start: 0, end: totalDuration }];
+    const plan = await planChunks(ctx, ranges, metadata, mode, keyframes);
+    ctx.currentJob.plan = { boundaryMode: plan.boundaryMode, details: plan.details };
+    ctx.currentJob.chunks = plan.chunks.map((chunk, i) => ({
+      index: i + 1,
+      file: chunkFilename(ctx, chunk, i, extension),
+      ...chunk,
+      status: 'pending'
+    }));
+    saveJob(ctx, ctx.currentJob);
+  }
+  const { chunks } = ctx.currentJob;
+  const { boundaryMode, details } = ctx.currentJob.plan;
+  const pending = chunks.filter(chunk => chunk.status !== 'complete');
+  
+  const numChunks = chunks.length;
+  
+  ctx.log.divider();
+  ctx.log.progress(`Starting chunking process:`);
+  ctx.log.info(`• Total chunks: ${numChunks}`);
+  if (pending.length < numChunks) {
+    ctx.log.info(`• Already complete: ${numChunks - pending.length} (resumed)`);
+  }
+  if (boundaryMode === 'fixed' || boundaryMode === 'keyframe' || boundaryMode === 'smart') {
+    const alignment = { keyframe: ' (keyframe aligned)', smart: ' (cut in silence)' }[boundaryMode] || '';
+    ctx.log.info(`• Chunk duration: ~${ctx.chunkLength} seconds${alignment}`);
+  } else {
+    ctx.log.info(`• Sections: ${boundaryMode}`);
+  }
+  ctx.log.info(`• Output format: ${extension.toUpperCase()}`);
+  ctx.log.info(`• Processing mode: ${{ copy: 'Fast (Stream Copy)', encode: 'Re-encode', audio: 'Audio only' }[mode]}`);
+  if (mode === 'encode') {
+    ctx.log.info(`• Quality preset: ${ctx.qualityPreset}`);
+    const rate = outputConfig.videoBitrate !== null ? `${outputConfig.videoBitrate} kbps` : `CRF ${outputConfig.crf}`;
+    const cap = outputConfig.maxrate !== null ? `, max ${outputConfig.maxrate} kbps` : '';
+    ctx.log.info(`• Video codec: ${outputConfig.videoCodec} (${VIDEO_CODECS[outputConfig.videoCodec].encoder}), ${rate}${cap}`);
+  }
+  if (mode === 'audio') {
+    ctx.log.info(`• Audio: ${outputConfig.codec} at ${outputConfig.bitrate} kbps`);
+  }
+  if (ctx.loudnormFilter) {
+    ctx.log.info(`• Loudness: normalized to ${Number(ctx.options.loudnessTarget)} LUFS (EBU R128)`);
+  }
+  if (ctx.jobs > 1) {
+    ctx.log.info(`• Parallel jobs: ${ctx.jobs}`);
+  }
+  if (mode !== 'audio') {
+    ctx.log.info(`• Video resolution: ${metadata.resolution || 'none (audio only)'}`);
+  }
+  if (ctx.videoOutput && ctx.videoOutput.filters.length > 0) {
+    const fps = outputConfig.fps !== null ? ` at ${outputConfig.fps} fps` : '';
+    ctx.log.info(`• Output video: ${ctx.videoOutput.width}x${ctx.videoOutput.height}${fps}${outputConfig.crop ? ' (cropped)' : ''}`);
+  }
+  logComposition(ctx);
+  ctx.log.divider();
+  
+  const timings = {};
+  let completed = false;
+  
+  // Parallel re-encodes only pay off with separate processes, so --jobs skips the single pass.
+  // Sections with gaps between them cannot be cut by the segment muxer either, a resumed
+  // job only redoes some chunks, and the muxer cannot add an intro or outro to every chunk.
+  const joinsClips = Boolean(ctx.composition && (ctx.composition.intro || ctx.composition.outro));
+  const origin = ctx.selection ? ctx.selection.ranges[0].start : 0;
+  if (ctx.options.singlePass && !(mode === 'encode' && ctx.jobs > 1) && !joinsClips && isContiguous(chunks, origin) && pending.length === numChunks) {
+    const passStart = Date.now();
+    try {
+      await processChunksSinglePass(ctx, chunks, outputConfig);
+      completed = true;
+    } catch (err) {
+      if (ctx.cancelled) throw err;
+      ctx.log.warning(`Single-pass segmentation failed: ${err.message}`);
+      ctx.log.info('Falling back to one ffmpeg process per chunk...');
+    }
+    timings.singlePass = (Date.now() - passStart) / 1000;
+  }
+  
+  if (!completed) {
+    const passStart = Date.now();
+    await processChunksIndividually(ctx, pending, outputConfig);
+    timings.perChunk = (Date.now() - passStart) / 1000;
+  }
+  
+  // Recorded once cut, so the boundaries are where the chunks really start and end
+  if (boundaryMode !== 'fixed') {
+    const cutPoints = details && details.cutPoints && details.cutPoints
+      .filter(point => chunks[point.chunk - 1])
+      .map((point) => {
+        const cut = Number(chunks[point.chunk - 1].start.toFixed(3));
+        // A cut that landed elsewhere than planned is no longer known to be in silence
+        return { ...point, cut, inSilence: point.inSilence && Math.abs(cut - point.cut) < 0.001 };
+      });
+    updateMetadata(ctx, {
+      boundaryMode,
+      boundaries: chunks.map((chunk, i) => ({
+        index: i + 1,
+        file: chunk.file,
+        ...(chunk.title !== undefined && { title: chunk.title }),
+        start: Number(chunk.start.toFixed(6)),
+        end: Number(chunk.end.toFixed(6)),
+        ...outputTiming(ctx, chunk)
+      })),
+      ...details,
+      ...(cutPoints && { cutPoints })
+    });
+  }
+  
+  if (ctx.subtitleTracks.length > 0) {
+    writeChunkSubtitles(ctx, chunks);
+  }
+  if (thumbnails) {
+    await writeChunkPosters(ctx, chunks);
+  }
+
+  const endTime = Date.now();
+  const totalTime = ((endTime - startTime) / 1000).toFixed(2);
+  const mediaSeconds = pending.reduce((sum, chunk) => sum + (chunk.end - chunk.start), 0);
+  const outputBytes = pending.reduce((sum, chunk) => {
+    const chunkPath = path.join(ctx.outputDir, chunk.file);
+    return sum + (fs.existsSync(chunkPath) ? fs.statSync(chunkPath).size : 0);
+  }, 0);
+  
+  ctx.log.divider();
+  ctx.log.success(`🎉 Processing complete!`);
+  ctx.log.info(`• Total processing time: ${totalTime} seconds`);
+  if (timings.singlePass !== undefined) {
+    ctx.log.info(`• Single-pass segmentation: ${timings.singlePass.toFixed(2)} seconds${timings.perChunk === undefined ? '' : ' (failed, fell back to per-chunk)'}`);
+  }
+  if (timings.perChunk !== undefined) {
+    ctx.log.info(`• Per-chunk processing: ${timings.perChunk.toFixed(2)} seconds`);
+  }
+  if (pending.length > 0) {
+    ctx.log.info(`• Average time per chunk: ${(totalTime / pending.length).toFixed(2)} seconds`);
+  }
+  ctx.log.info(`• Speed: ${(mediaSeconds / Math.max(totalTime, 0.01)).toFixed(1)}x realtime (${{ copy: '⚡ Stream Copy', encode: '🔄 Re-encode', audio: '🎧 Audio' }[mode]})`);
+  ctx.log.info(`• Output size: ${formatBytes(outputBytes)} (${formatBytes(outputBytes / Math.max(totalTime, 0.01))}/s written)`);
+  ctx.log.info(`• Output location: ${path.resolve(ctx.outputDir)}`);
+  ctx.log.divider();
+}
+
+/**
+ * Tracks progress across a whole chunking job from ffmpeg timemarks and emits
+ * 'progress' events: overall percent, chunks done, the chunks in flight with
+ * their own percent, speed (x realtime) and ETA in seconds
+ */
+function createProgressTracker(ctx, chunks) {
+  const durations = chunks.map(chunk => chunk.end - chunk.start);
+  const totalSeconds = durations.reduce((sum, duration) => sum + duration, 0);
+  const startedAt = Date.now();
+  const running = new Map();
+  let doneSeconds = 0;
+  let doneCount = 0;
+
+  const report = () => {
+    const processed = Math.min(doneSeconds + [...running.values()].reduce((sum, seconds) => sum + seconds, 0), totalSeconds);
+    const elapsed = (Date.now() - startedAt) / 1000;
+    const speed = elapsed > 0 ? processed / elapsed : 0;
+
+    ctx.emit('progress', {
+      stage: 'chunks',
+      percent: totalSeconds > 0 ? (processed / totalSeconds) * 100 : 0,
+      completed: doneCount,
+      total: chunks.length,
+      running: [...running.entries()].map(([i, seconds]) => ({
+        index: chunks[i].index,
+        file: chunks[i].file,
+        percent: (seconds / durations[i]) * 100
+      })),
+      speed,
+      eta: speed > 0 ? (totalSeconds - processed) / speed : null
+    });
+  };
+
+  return {
+    // Seconds encoded so far within one chunk (per-chunk processes)
+    update(i, timemark) {
+      const seconds = parseTimestamp(timemark);
+      if (!Number.isFinite(seconds)) return;
+      running.set(i, Math.max(0, Math.min(seconds, durations[i])));
+      report();
+    },
+
+    // Position within the whole job (single-pass segmenting)
+    position(timemark) {
+      const seconds = parseTimestamp(timemark);
+      if (!Number.isFinite(seconds)) return;
+      running.clear();
+      doneSeconds = 0;
+      doneCount = 0;
+      chunks.forEach((chunk, i) => {
+        if (chunk.end <= seconds) {
+          doneSeconds += durations[i];
+          doneCount++;
+        } else if (chunk.start < seconds) {
+          running.set(i, seconds - chunk.start);
+        }
+      });
+      report();
+    },
+
+    complete(i) {
+      running.delete(i);
+      doneSeconds += durations[i];
+      doneCount++;
+    },
+
+    fail(i) {
+      running.delete(i);
+    }
+  };
+}
+
+/**
+ * Formats a byte count as KB, MB or GB
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * ffmpeg options for audio chunks: no video or subtitles, the --audio-format
+ * encoder at --audio-bitrate
+ */
+function audioChunkOptions(outputConfig) {
+  return ['-vn', '-sn', '-c:a', outputConfig.codec, '-b:a', `${outputConfig.bitrate}k`];
+}
+
+/**
+ * Crop, scale and frame rate filters for re-encode mode. The crop must fit
+ * inside the source, and scaling keeps the aspect ratio, never upscales and
+ * rounds to even sizes. Returns the filters and the output size.
+ */
+function resolveVideoFilters(outputConfig, metadata) {
+  const filters = [];
+  let width = metadata.width;
+  let height = metadata.height;
+
+  if (outputConfig.crop) {
+    const crop = outputConfig.crop;
+    const x = crop.x !== null ? crop.x : Math.floor((width - crop.width) / 4) * 2;
+    const y = crop.y !== null ? crop.y : Math.floor((height - crop.height) / 4) * 2;
+    if (crop.width > width || crop.height > height || x + crop.width > width || y + crop.height > height) {
+      throw new Error(`--crop ${crop.width}:${crop.height}${crop.x !== null ? `:${crop.x}:${crop.y}` : ''} does not fit inside the ${width}x${height} source.`);
+    }
+    filters.push(`crop=${crop.width}:${crop.height}:${x}:${y}`);
+    width = crop.width;
+    height = crop.height;
+  }
+
+  if (outputConfig.scale) {
+    const { width: maxWidth, height: maxHeight } = outputConfig.scale;
+    const factor = Math.min(maxHeight / height, maxWidth !== null ? maxWidth / width : 1, 1);
+    if (factor < 1) {
+      width = Math.max(2, Math.round(width * factor / 2) * 2);
+      height = Math.max(2, Math.round(height * factor / 2) * 2);
+      filters.push(`scale=${width}:${height}`);
+    }
+  }
+
+  if (outputConfig.fps !== null) {
+    filters.push(`fps=${outputConfig.fps}`);
+  }
+
+  return { filters, width, height };
+}
+
+/**
+ * Probes the --intro and --outro clips and sizes the --watermark for the
+ * output picture, so every chunk or stream is composed the same way. The
+ * clips are normalized to the output's size, frame rate and audio format.
+ * Returns null when none of the three is set.
+ */
+async function prepareComposition(ctx, outputConfig, metadata) {
+  const { options } = ctx;
+  if (!options.watermark && !options.intro && !options.outro) {
+    return null;
+  }
+  if (!metadata.hasVideo) {
+    throw new Error('--watermark, --intro and --outro need a video stream, and this source has none.');
+  }
+
+  const probeClip = async (file, flag) => {
+    const clip = await getVideoMetadata(file);
+    if (!clip.hasVideo || !clip.duration) {
+      throw new Error(`The ${flag} clip "${file}" has no video stream.`);
+    }
+    return { file: path.resolve(file), duration: clip.duration, hasAudio: clip.hasAudio };
+  };
+
+  const videoStream = metadata.streams.find(stream => stream.type === 'video');
+  const audioStream = metadata.streams.find(stream => stream.type === 'audio');
+  const width = ctx.videoOutput ? ctx.videoOutput.width : metadata.width;
+  const height = ctx.videoOutput ? ctx.videoOutput.height : metadata.height;
+  const composition = {
+    width,
+    height,
+    frameRate: outputConfig.fps || (parseFrameRate(videoStream.frameRate) > 0 ? videoStream.frameRate : null),
+    audio: metadata.hasAudio ? {
+      sampleRate: audioStream.sampleRate || 48000,
+      channelLayout: audioStream.channels === 1 ? 'mono' : 'stereo'
+    } : null,
+    intro: options.intro ? await probeClip(options.intro, '--intro') : null,
+    outro: options.outro ? await probeClip(options.outro, '--outro') : null,
+    watermark: options.watermark ? {
+      file: path.resolve(options.watermark),
+      width: Math.max(2, Math.round(width * Number(options.watermarkScale))),
+      position: options.watermarkPosition,
+      margin: Number(options.watermarkMargin),
+      opacity: Number(options.watermarkOpacity)
+    } : null
+  };
+  return composition;
+}
+
+/**
+ * Lists the intro, outro and watermark of a run in the settings summary
+ */
+function logComposition(ctx) {
+  const { intro, outro, watermark } = ctx.composition || {};
+  if (intro) {
+    ctx.log.info(`• Intro: ${path.basename(intro.file)} (${intro.duration.toFixed(1)} seconds)`);
+  }
+  if (outro) {
+    ctx.log.info(`• Outro: ${path.basename(outro.file)} (${outro.duration.toFixed(1)} seconds)`);
+  }
+  if (watermark) {
+    ctx.log.info(`• Watermark: ${path.basename(watermark.file)}, ${watermark.position}, ${Math.round(watermark.opacity * 100)}% opacity`);
+  }
+}
+
+/**
+ * Seconds of intro before the source's content starts in every output
+ */
+function introDuration(ctx) {
+  return ctx.composition && ctx.composition.intro ? ctx.composition.intro.duration : 0;
+}
+
+/**
+ * Opens the source on a new command: once, or with --exclude once per
+ * selected range, each input seeking to its range and reading only its
+ * length. Returns the command and the number of source inputs.
+ */
+function sourceCommand(ctx) {
+  const ranges = ctx.selection ? ctx.selection.ranges : [null];
+  const command = ffmpeg();
+  ranges.forEach((range) => {
+    command.input(ctx.inputFile);
+    if (range) {
+      command.seekInput(range.start).inputOptions(['-t', (range.end - range.start).toFixed(6)]);
+    }
+  });
+  return { command, sources: ranges.length };
+}
+
+/**
+ * Filter that joins the source inputs of sourceCommand() end to end (the
+ * graph line without its output pads)
+ */
+function concatSources(sources, video, audio) {
+  const inputs = Array.from({ length: sources }, (_, i) => `${video ? `[${i}:v]` : ''}${audio ? `[${i}:a]` : ''}`).join('');
+  return `${inputs}concat=n=${sources}:v=${video ? 1 : 0}:a=${audio ? 1 : 0}`;
+}
+
+/**
+ * Returns the filter graph feeding an output of a command opened by
+ * sourceCommand(): several source inputs are concatenated first, then the
+ * result is composed with the intro, outro and watermark, or else given the
+ * video filters and the loudness filter. The graph's outputs are [vout] and
+ * [aout] for the streams the output has. Returns null when there is nothing
+ * to join, so plain -vf and -af filters do.
+ */
+function sourceGraph(ctx, command, sources, { video = true, audio = true, videoFilters = [] } = {}) {
+  if (sources === 1 && !ctx.composition) {
+    return null;
+  }
+  const hasVideo = ctx.composition ? true : video;
+  const hasAudio = ctx.composition ? Boolean(ctx.composition.audio) : audio;
+  const graph = [];
+  let pads = { video: '[0:v]', audio: '[0:a]' };
+
+  if (sources > 1) {
+    graph.push(`${concatSources(sources, hasVideo, hasAudio)}${hasVideo ? '[vsel]' : ''}${hasAudio ? '[asel]' : ''}`);
+    pads = { video: '[vsel]', audio: '[asel]' };
+  }
+  if (ctx.composition) {
+    const composed = compositionGraph(ctx, command, { ...pads, inputs: sources }, videoFilters);
+    return { ...composed, graph: [...graph, ...composed.graph] };
+  }
+
+  if (hasVideo) {
+    graph.push(`${pads.video}${videoFilters.join(',') || 'null'}[vout]`);
+  }
+  if (hasAudio) {
+    graph.push(`${pads.audio}${ctx.loudnormFilter || 'anull'}[aout]`);
+  }
+  return { graph, video: hasVideo ? '[vout]' : null, audio: hasAudio ? '[aout]' : null };
+}
+
+/**
+ * Adds the intro, outro and watermark inputs to a command that already has
+ * the source (its pads and number of inputs in `source`), and returns the
+ * filter graph that joins them. The source gets its video filters, the
+ * watermark and the loudness filter; the clips are scaled and padded to its
+ * size and resampled to its audio format, then all three are concatenated.
+ * The graph's outputs are [vout] and, with audio, [aout].
+ */
+function compositionGraph(ctx, command, source = { video: '[0:v]', audio: '[0:a]', inputs: 1 }, videoFilters = []) {
+  const { width, height, frameRate, audio, intro, outro, watermark } = ctx.composition;
+  const audioFormat = audio && `aformat=sample_fmts=fltp:sample_rates=${audio.sampleRate}:channel_layouts=${audio.channelLayout}`;
+  const joined = Boolean(intro || outro);
+  const graph = [];
+  let inputs = source.inputs;
+
+  const addInput = (file) => {
+    command.input(file);
+    return inputs++;
+  };
+
+  // The source, with the watermark laid over it
+  const mainVideo = joined ? '[vmain]' : '[vout]';
+  const mainChain = [...videoFilters, 'setsar=1'];
+  if (watermark) {
+    const logo = addInput(watermark.file);
+    graph.push(`[${logo}:v]scale=${watermark.width}:-1,format=rgba,colorchannelmixer=aa=${watermark.opacity}[logo]`);
+    graph.push(`${source.video}${mainChain.join(',')}[vsource]`);
+    graph.push(`[vsource][logo]overlay=${WATERMARK_POSITIONS[watermark.position](watermark.margin)},format=yuv420p${mainVideo}`);
+  } else {
+    graph.push(`${source.video}${[...mainChain, 'format=yuv420p'].join(',')}${mainVideo}`);
+  }
+  if (audio) {
+    graph.push(`${source.audio}${[ctx.loudnormFilter, audioFormat].filter(Boolean).join(',')}${joined ? '[amain]' : '[aout]'}`);
+  }
+  if (!joined) {
+    return { graph, video: '[vout]', audio: audio ? '[aout]' : null };
+  }
+
+  // Intro and outro clips, fitted into the picture (letterboxed when their shape differs)
+  const segments = [];
+  const addClip = (clip, name) => {
+    const input = addInput(clip.file);
+    graph.push(`[${input}:v]${[
+      `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+      `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+      'setsar=1',
+      frameRate && `fps=${frameRate}`,
+      'format=yuv420p'
+    ].filter(Boolean).join(',')}[v${name}]`);
+    if (audio) {
+      // Clips without sound get silence, so every segment has the same streams
+      graph.push(clip.hasAudio
+        ? `[${input}:a]${audioFormat}[a${name}]`
+        : `anullsrc=channel_layout=${audio.channelLayout}:sample_rate=${audio.sampleRate},atrim=duration=${clip.duration},${audioFormat}[a${name}]`);
+    }
+    segments.push(name);
+  };
+  if (intro) {
+    addClip(intro, 'intro');
+  }
+  segments.push('main');
+  if (outro) {
+    addClip(outro, 'outro');
+  }
+
+  graph.push(`${segments.map(name => `[v${name}]${audio ? `[a${name}]` : ''}`).join('')}concat=n=${segments.length}:v=1:a=${audio ? 1 : 0}[vout]${audio ? '[aout]' : ''}`);
+  return { graph, video: '[vout]', audio: audio ? '[aout]' : null };
+}
+
+/**
+ * Applies the video filters and loudness filter to a chunk or HLS command,
+ * composed with the intro, outro and watermark when there are any. HLS
+ * commands from sourceCommand() pass their number of source inputs and the
+ * streams the output has, so the selected ranges are joined first.
+ */
+function applyOutputFilters(ctx, command, { sources = 1, video = true, audio = true } = {}) {
+  const videoFilters = ctx.videoOutput ? ctx.videoOutput.filters : [];
+  const joined = sourceGraph(ctx, command, sources, { video, audio, videoFilters });
+  if (joined) {
+    command.complexFilter(joined.graph.join(';'));
+    command.outputOptions([...(joined.video ? ['-map', joined.video] : []), ...(joined.audio ? ['-map', joined.audio] : [])]);
+    return;
+  }
+  if (videoFilters.length > 0) {
+    command.videoFilters(videoFilters);
+  }
+  if (ctx.loudnormFilter) {
+    command.audioFilters(ctx.loudnormFilter);
+  }
+}
+
+/**
+ * Output options of re-encode mode: the --video-codec encoder at the --quality
+ * speed, with CRF or a target bitrate and an optional maxrate/bufsize cap
+ */
+function videoEncodeOptions(ctx, outputConfig) {
+  const codec = VIDEO_CODECS[outputConfig.videoCodec];
+  const options = ['-c:v', codec.encoder, ...codec.speed(ctx.qualityPreset)];
+
+  if (outputConfig.videoBitrate !== null) {
+    options.push('-b:v', `${outputConfig.videoBitrate}k`);
+  } else {
+    options.push('-crf', String(outputConfig.crf));
+    if (codec.encoder === 'libvpx-vp9' || codec.encoder === 'libaom-av1') {
+      // Without a bitrate these encoders ignore CRF; a cap makes it constrained quality
+      options.push('-b:v', outputConfig.maxrate !== null ? `${outputConfig.maxrate}k` : '0');
+    }
+  }
+  if (outputConfig.maxrate !== null) {
+    options.push('-maxrate', `${outputConfig.maxrate}k`, '-bufsize', `${outputConfig.bufsize !== null ? outputConfig.bufsize : outputConfig.maxrate * 2}k`);
+  }
+  if (outputConfig.videoCodec === 'x265' && ['mp4', 'm4v', 'mov'].includes(outputConfig.extension)) {
+    // Apple players only recognise HEVC tagged hvc1
+    options.push('-tag:v', 'hvc1');
+  }
+
+  options.push('-c:a', outputConfig.extension === 'webm' ? 'libopus' : 'aac');
+  return options;
+}
+
+/**
+ * Cuts every chunk in one ffmpeg run using the segment muxer. With --start or
+ * --end the run reads only the selected range and cut times are relative to it.
+ */
+function processChunksSinglePass(ctx, chunks, outputConfig) {
+  const { mode, extension } = outputConfig;
+  const origin = chunks[0].start;
+  const segmentTimes = chunks.slice(1).map(chunk => (chunk.start - origin).toFixed(6));
+  const segmentListPath = path.join(ctx.outputDir, `${ctx.filePrefix}_segments.csv`);
+  const outputPattern = path.join(ctx.outputDir, `${ctx.filePrefix}_%03d.${extension}`);
+  
+  return new Promise((resolve, reject) => {
+    ctx.log.info(`Segmenting in a single pass into ${chunks.length} chunks...`);
+    
+    const tracker = createProgressTracker(ctx, chunks);
+    const command = ffmpeg(ctx.inputFile);
+    if (ctx.selection) {
+      command.seekInput(origin).inputOptions(['-t', (chunks[chunks.length - 1].end - origin).toFixed(6)]);
+    }
+    
+    if (mode === 'copy') {
+      // Fast mode - copy streams; the muxer cuts on the first keyframe at or after each time
+      command.outputOptions(['-c', 'copy']);
+    } else if (mode === 'audio') {
+      // Audio mode - audio frames are short, so cuts land on their times without keyframes
+      command.outputOptions(audioChunkOptions(outputConfig));
+      if (extension === 'm4a') {
+        command.outputOptions(['-segment_format_options', 'movflags=+faststart']);
+      }
+    } else {
+      // Re-encode mode - force keyframes so every cut lands exactly on its time
+      command.outputOptions(videoEncodeOptions(ctx, outputConfig));
+      if (segmentTimes.length > 0) {
+        command.outputOptions(['-force_key_frames', segmentTimes.join(',')]);
+      }
+      if (extension === 'mp4' || extension === 'mov') {
+        command.outputOptions(['-segment_format_options', 'movflags=+faststart']);
+      }
+    }
+    
+    applyOutputFilters(ctx, command);
+    
+    command.outputOptions([
+      '-f', 'segment',
+      '-reset_timestamps', '1',
+      '-segment_start_number', '1',
+      '-segment_list', segmentListPath,
+      '-segment_list_type', 'csv',
+      '-avoid_negative_ts', 'make_zero'
+    ]);
+    if (segmentTimes.length > 0) {
+      command.outputOptions(['-segment_times', segmentTimes.join(',')]);
+    }
+    
+    command.output(outputPattern);
+    
+    // The muxer opens a segment's file only once it has closed the one before, so
+    // each new file reports the previous chunk complete. Files from an earlier run
+    // are older than this one.
+    const numberedFile = i => path.join(ctx.outputDir, `${ctx.filePrefix}_${String(i + 1).padStart(3, '0')}.${extension}`);
+    const startedAt = Date.now();
+    let opened = 0;
+    const reportChunk = (i, status) => {
+      const completed = status === 'complete' ? i + 1 : i;
+      ctx.emit('chunk', { index: chunks[i].index, file: chunks[i].file, status, completed, total: chunks.length });
+    };
+    const reportOpenedSegments = () => {
+      while (opened < chunks.length && fs.existsSync(numberedFile(opened)) && fs.statSync(numberedFile(opened)).mtimeMs >= startedAt - 1000) {
+        if (opened > 0) {
+          reportChunk(opened - 1, 'complete');
+        }
+        reportChunk(opened, 'started');
+        opened++;
+      }
+    };
+    
+    command.on('progress', (progress) => {
+      tracker.position(String(parseTimestamp(progress.timemark) + origin));
+      reportOpenedSegments();
+    });
+    
+    command
+      .on('end', async () => {
+        ctx.activeCommands.delete(command);
+        reportOpenedSegments();
+        // The list holds where the muxer really cut, which in fast mode is the next keyframe
+        const produced = fs.readFileSync(segmentListPath, 'utf8')
+          .split('\n')
+          .filter(Boolean)
+          .map(line => parseCsvLine(line))
+          .map(([file, start, end]) => ({ file, start: origin + parseFloat(start), end: origin + parseFloat(end) }));
+        fs.rmSync(segmentListPath, { force: true });
+        
+        // Titled chunks are renamed from the muxer's numbered files, which only works one to one
+        if (chunks.some(chunk => chunk.title) && produced.length !== chunks.length) {
+          produced.forEach(segment => fs.rmSync(path.join(ctx.outputDir, segment.file), { force: true }));
+          reject(new Error(`expected ${chunks.length} sections but the segment muxer produced ${produced.length}`));
+          return;
+        }
+        produced.forEach((segment, i) => {
+          if (chunks[i] && chunks[i].file !== segment.file) {
+            fs.renameSync(path.join(ctx.outputDir, segment.file), path.join(ctx.outputDir, chunks[i].file));
+          }
+          if (chunks[i] && Number.isFinite(segment.start) && Number.isFinite(segment.end)) {
+            chunks[i].start = segment.start;
+            chunks[i].end = segment.end;
+          }
+        });
+        
+        // In fast mode sparse keyframes can merge chunks, so the job keeps only what was produced
+        chunks.splice(produced.length);
+        for (let i = Math.max(opened - 1, 0); i < chunks.length; i++) {
+          if (i >= opened) {
+            reportChunk(i, 'started');
+          }
+          reportChunk(i, 'complete');
+        }
+        try {
+          for (const chunk of chunks) {
+            await completeChunk(ctx, chunk);
+          }
+        } catch (err) {
+          reject(err);
+          return;
+        }
+        
+        ctx.log.success(`Completed ${produced.length} chunks in a single pass`);
+        resolve();
+      })
+      .on('error', (err) => {
+        ctx.activeCommands.delete(command);
+        fs.rmSync(segmentListPath, { force: true });
+        reject(err);
+      });
+    
+    // Until the muxer finishes, none of its numbered files can be trusted
+    ctx.activeCommands.set(command, [
+      ...chunks.map((chunk, i) => numberedFile(i)),
+      segmentListPath
+    ]);
+    command.run();
+  });
+}
+
+/**
+ * Cuts each chunk with its own ffmpeg process (fallback path), running up to
+ * --jobs processes at once. The first failure stops the queue and kills the
+ * chunks still running so no ffmpeg process outlives the run.
+ */
+async function processChunksIndividually(ctx, chunks, outputConfig) {
+  const { mode } = outputConfig;
+  const numChunks = chunks.length;
+  const running = new Map();
+  const tracker = createProgressTracker(ctx, chunks);
+  let nextIndex = 0;
+  let completedCount = 0;
+  let failure = null;
+
+  const cancelRunning = () => {
+    for (const command of running.keys()) {
+      command.kill('SIGKILL');
+    }
+  };
+
+  const processChunk = (i) => new Promise((resolve, reject) => {
+    const { start: chunkStartTime, end: chunkEndTime, file: outputFilename } = chunks[i];
+    const outputPath = path.join(ctx.outputDir, outputFilename);
+
+    ctx.emit('chunk', { index: chunks[i].index, file: outputFilename, status: 'started', completed: completedCount, total: numChunks });
+    
+    const command = ffmpeg(ctx.inputFile).seekInput(chunkStartTime);
+    if (ctx.composition) {
+      // The intro and outro are added to the chunk, so only the source input is limited
+      command.inputOptions(['-t', String(chunkEndTime - chunkStartTime)]);
+    } else {
+      command.duration(chunkEndTime - chunkStartTime);
+    }
+
+    if (mode === 'copy') {
+      // Fast mode - copy streams without re-encoding
+      command.outputOptions([
+        '-c', 'copy',
+        '-avoid_negative_ts', 'make_zero'
+      ]);
+    } else if (mode === 'audio') {
+      // Audio mode - only the audio stream, encoded at the chosen bitrate
+      command.outputOptions([
+        ...audioChunkOptions(outputConfig),
+        ...(outputConfig.extension === 'm4a' ? ['-movflags', '+faststart'] : [])
+      ]);
+    } else {
+      // Re-encode mode - full quality control
+      command.outputOptions([
+        ...videoEncodeOptions(ctx, outputConfig),
+        '-movflags', '+faststart',
+        '-avoid_negative_ts', 'make_zero'
+      ]);
+    }
+    
+    applyOutputFilters(ctx, command);
+    command.output(outputPath);
+
+    command
+      .on('progress', (progress) => tracker.update(i, progress.timemark))
+      .on('end', () => {
+        running.delete(command);
+        ctx.activeCommands.delete(command);
+        completedCount++;
+        tracker.complete(i);
+        ctx.emit('chunk', { index: chunks[i].index, file: outputFilename, status: 'complete', completed: completedCount, total: numChunks });
+        completeChunk(ctx, chunks[i]).then(resolve, reject);
+      })
+      .on('error', (err) => {
+        running.delete(command);
+        ctx.activeCommands.delete(command);
+        tracker.fail(i);
+        // Never leave a partially written chunk behind
+        fs.rmSync(outputPath, { force: true });
+        if (failure === null && !ctx.cancelled) {
+          ctx.emit('chunk', { index: chunks[i].index, file: outputFilename, status: 'failed', completed: completedCount, total: numChunks, error: err.message });
+          ctx.log.error(`Failed to process chunk ${chunks[i].index}: ${err.message}`);
+        }
+        reject(err);
+      });
+
+    running.set(command, outputPath);
+    ctx.activeCommands.set(command, [outputPath]);
+    command.run();
+  });
+
+  const worker = async () => {
+    while (failure === null && !ctx.cancelled && nextIndex < numChunks) {
+      const i = nextIndex++;
+      try {
+        await processChunk(i);
+      } catch (err) {
+        if (failure === null) {
+          failure = err;
+          if (running.size > 0 && !ctx.cancelled) {
+            ctx.log.warning(`Cancelling ${running.size} running chunk(s)...`);
+          }
+          cancelRunning();
+        }
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(ctx.jobs, numChunks) }, worker));
+
+  if (failure) {
+    throw failure;
+  }
+}
+
+/**
+ * Process video into HLS stream format
+ */
+async function processHLSStream(ctx, totalDuration, outputConfig, metadata) {
+  const { segmentLength, playlistType, ladder, segmentType, extension, dash } = outputConfig;
+  // Audio renditions only for --audio, or when there is no video to encode
+  const audioOnly = Boolean(outputConfig.audioOnly) || !metadata.hasVideo;
+  const audioBitrate = outputConfig.audioBitrate || 96;
+  
+  // Create HLS-specific directory structure (DASH output shares its CMAF segments from dash/)
+  const hlsDir = path.join(ctx.outputDir, dash ? 'dash' : 'hls');
+  if (!fs.existsSync(hlsDir)) {
+    fs.mkdirSync(hlsDir, { recursive: true });
+  }
+  
+  // Setup paths for playlist and segments
+  const playlistPath = path.join(hlsDir, `${ctx.filePrefix}.m3u8`);
+  const segmentPattern = path.join(hlsDir, `${ctx.filePrefix}_%03d.${extension}`);
+  const rungs = ladder ? selectLadderRungs(ctx, ladder, metadata) : null;
+  const encryption = outputConfig.encryption ? prepareHLSEncryption(ctx, outputConfig.encryption) : null;
+  
+  ctx.log.divider();
+  ctx.log.progress(`Starting HLS streaming process:`);
+  ctx.log.info(`• Total duration: ${Math.floor(totalDuration)} seconds (${(totalDuration / 60).toFixed(1)} minutes)`);
+  ctx.log.info(`• Segment length: ${segmentLength} seconds`);
+  ctx.log.info(`• Segment format: ${segmentType === 'fmp4' ? 'fMP4 (CMAF)' : 'MPEG-TS'}`);
+  ctx.log.info(`• Playlist type: ${playlistType.toUpperCase()}`);
+  ctx.log.info(audioOnly ? `• Audio only: AAC at ${audioBitrate} kbps` : `• Video resolution: ${metadata.resolution}`);
+  if (ctx.loudnormFilter) {
+    ctx.log.info(`• Loudness: normalized to ${Number(ctx.options.loudnessTarget)} LUFS (EBU R128)`);
+  }
+  logComposition(ctx);
+  if (rungs) {
+    ctx.log.info(`• Renditions: ${rungs.map(rung => `${rung.name} (${rung.videoBitrate}k)`).join(', ')}`);
+  }
+  if (dash) {
+    ctx.log.info(`• Output: ${path.join(hlsDir, `${ctx.filePrefix}.mpd`)} and HLS playlists in ${hlsDir}`);
+  } else if (rungs) {
+    ctx.log.info(`• Output: ${path.join(hlsDir, `${ctx.filePrefix}_<rendition>.m3u8`)}`);
+  } else {
+    ctx.log.info(`• Output: ${playlistPath}`);
+  }
+  if (encryption) {
+    ctx.log.info(`• Encryption: AES-128${encryption.rotateEvery ? `, new key about every ${encryption.rotateEvery} segments` : ''}`);
+    ctx.log.info(`• Keys: ${encryption.keyDir}`);
+  }
+  ctx.log.divider();
+  
+  if (dash) {
+    const result = await encodeDASH(ctx, rungs, outputConfig, metadata, hlsDir);
+    ctx.log.success(`DASH manifest and HLS playlists created successfully`);
+    await createMasterPlaylist(ctx, result.variants, metadata, {
+      audio: result.audio,
+      segmentType,
+      audioOnly,
+      dashManifest: result.manifest
+    });
+    return;
+  }
+  
+  if (rungs) {
+    try {
+      const variants = await encodeHLSLadder(ctx, rungs, outputConfig, metadata, hlsDir, encryption);
+      ctx.log.success(`HLS ladder created successfully (${variants.length} renditions)`);
+      recordHLSEncryption(ctx, encryption);
+      await createMasterPlaylist(ctx, variants, metadata, { segmentType, audioOnly, encrypted: Boolean(encryption) });
+      return;
+    } catch (error) {
+      if (ctx.cancelled) throw error;
+      ctx.log.error(`Adaptive ladder encoding failed: ${error.message}`);
+      ctx.log.warning('Falling back to a single rendition at the source resolution...');
+      removeHLSLadderFiles(ctx, rungs, hlsDir);
+      if (encryption) {
+        resetHLSEncryption(encryption);
+      }
+    }
+  }
+  
+  return new Promise((resolve, reject) => {
+    try {
+      ctx.log.info('Setting up HLS conversion with optimized parameters...');
+      
+      const { command, sources } = sourceCommand(ctx);
+      
+      // Use the proven working parameters (previously fallback method)
+      const videoOptions = audioOnly ? ['-vn'] : [
+        '-c:v', 'libx264',      // Video codec
+        '-preset', 'ultrafast', // Fastest preset for encoding
+        '-tune', 'fastdecode'   // Optimize for fast decoding
+      ];
+      const hlsOptions = [
+        ...videoOptions,
+        '-c:a', 'aac',          // Audio codec
+        '-b:a', `${audioBitrate}k`, // Lower audio bitrate for speed, or --audio-bitrate
+        '-ac', '2',             // Stereo audio
+        '-ar', '44100',         // Standard audio sample rate
+        '-hls_time', segmentLength,
+        '-hls_segment_filename', segmentPattern,
+        '-threads', 'auto',      // Use all available CPU threads
+        '-f', 'hls'             // Format is HLS
+      ];
+      
+      // Add any playlist type if specified
+      if (playlistType && playlistType !== 'none') {
+        hlsOptions.push('-hls_playlist_type', playlistType);
+      }
+      
+      hlsOptions.push(...hlsSegmentTypeOptions(segmentType, `${ctx.filePrefix}_init.mp4`));
+      
+      if (encryption) {
+        applyHLSEncryption(command, hlsOptions, encryption, segmentLength);
+      }
+      applyOutputFilters(ctx, command, { sources, video: !audioOnly, audio: metadata.hasAudio });
+      
+      command.outputOptions(hlsOptions);
+      command.output(playlistPath);
+      
+      command.on('progress', (progress) => {
+        if (progress.percent) {
+          ctx.emit('progress', { stage: 'hls', percent: progress.percent, message: 'Processing...' });
+        }
+      });
+      
+      command
+        .on('start', (commandLine) => {
+          ctx.log.info('FFmpeg command: ' + commandLine);
+        })
+        .on('end', () => {
+          ctx.log.success(`HLS stream created successfully`);
+          recordHLSEncryption(ctx, encryption);
+          
+          // After successful creation, create the master playlist and HTML player
+          createMasterPlaylist(ctx, [{ name: audioOnly ? 'audio' : 'source', playlist: playlistPath }], metadata, {
+            segmentType,
+            audioOnly,
+            encrypted: Boolean(encryption)
+          })
+            .then(resolve, reject);
+        })
+        .on('error', (err) => {
+          if (ctx.cancelled) {
+            reject(err);
+            return;
+          }
+          ctx.log.error(`HLS conversion failed: ${err.message}`);
+          ctx.log.warning('Trying with even more basic parameters...');
+          
+          // Try with absolute minimal parameters as last resort
+          if (encryption) {
+            resetHLSEncryption(encryption);
+          }
+          tryLastResortHLSConversion(ctx, playlistPath, segmentPattern, encryption, segmentType, audioOnly, metadata)
+            .then(resolve)
+            .catch(reject);
+        });
+      
+      trackCommand(ctx, command);
+      command.run();
+    } catch (error) {
+      ctx.log.error(`Error setting up HLS conversion: ${error.message}`);
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Drops ladder rungs above the source height so nothing is upscaled. When the
+ * source is smaller than every rung, a single rung at the source height is used.
+ */
+function selectLadderRungs(ctx, ladder, metadata) {
+  if (!metadata.hasVideo || !metadata.height) {
+    ctx.log.warning('No video stream to scale - ignoring the HLS ladder.');
+    return null;
+  }
+
+  const rungs = ladder.filter(rung => rung.height <= metadata.height);
+  const skipped = ladder.filter(rung => rung.height > metadata.height);
+  if (skipped.length > 0) {
+    ctx.log.warning(`Skipping ${skipped.map(rung => rung.name).join(', ')} - the source is only ${metadata.height}p and will not be upscaled.`);
+  }
+
+  if (rungs.length === 0) {
+    const height = metadata.height - (metadata.height % 2);
+    const defaults = ladderDefaults(height);
+    return [{ name: `${height}p`, height, videoBitrate: defaults.video, audioBitrate: defaults.audio }];
+  }
+
+  return rungs;
+}
+
+/**
+ * Encodes every ladder rung in one ffmpeg run: the source is decoded once,
+ * split and scaled per rung, and written as one variant playlist per rung.
+ * Keyframes are forced on segment boundaries so players can switch cleanly.
+ */
+function encodeHLSLadder(ctx, rungs, outputConfig, metadata, hlsDir, encryption) {
+  const { segmentLength, playlistType, segmentType, extension } = outputConfig;
+
+  return new Promise((resolve, reject) => {
+    ctx.log.info('Setting up adaptive bitrate HLS conversion...');
+
+    const { command, sources } = sourceCommand(ctx);
+    const composed = sourceGraph(ctx, command, sources, { audio: metadata.hasAudio });
+    const splitOutputs = rungs.map((rung, i) => `[s${i}]`).join('');
+    const audioOutputs = metadata.hasAudio && composed ? rungs.map((rung, i) => `[a${i}]`).join('') : '';
+    command.complexFilter([
+      ...(composed ? composed.graph : []),
+      `${composed ? composed.video : '[0:v]'}split=${rungs.length}${splitOutputs}`,
+      ...rungs.map((rung, i) => `[s${i}]scale=-2:${rung.height}[v${i}]`),
+      // A filter output can only be mapped once, so the composed audio is split per rung too
+      ...(audioOutputs ? [`${composed.audio}asplit=${rungs.length}${audioOutputs}`] : [])
+    ].join(';'));
+
+    const hlsOptions = [];
+    rungs.forEach((rung, i) => {
+      hlsOptions.push('-map', `[v${i}]`);
+      if (metadata.hasAudio) {
+        hlsOptions.push('-map', audioOutputs ? `[a${i}]` : '0:a:0');
+      }
+    });
+
+    hlsOptions.push(
+      '-c:v', 'libx264',
+      '-preset', 'ultrafast',
+      '-tune', 'fastdecode',
+      '-sc_threshold', '0',
+      '-force_key_frames', `expr:gte(t,n_forced*${segmentLength})`
+    );
+    rungs.forEach((rung, i) => {
+      hlsOptions.push(
+        `-b:v:${i}`, `${rung.videoBitrate}k`,
+        `-maxrate:v:${i}`, `${Math.round(rung.videoBitrate * 1.07)}k`,
+        `-bufsize:v:${i}`, `${rung.videoBitrate * 2}k`
+      );
+      if (metadata.hasAudio) {
+        hlsOptions.push(`-b:a:${i}`, `${rung.audioBitrate}k`);
+      }
+    });
+    if (metadata.hasAudio) {
+      hlsOptions.push('-c:a', 'aac', '-ac', '2', '-ar', '44100');
+    }
+
+    const streamMap = rungs
+      .map((rung, i) => (metadata.hasAudio ? `v:${i},a:${i},name:${rung.name}` : `v:${i},name:${rung.name}`))
+      .join(' ');
+
+    hlsOptions.push(
+      '-hls_time', segmentLength,
+      '-hls_segment_filename', path.join(hlsDir, `${ctx.filePrefix}_%v_%03d.${extension}`),
+      '-var_stream_map', streamMap,
+      '-f', 'hls'
+    );
+    if (playlistType && playlistType !== 'none') {
+      hlsOptions.push('-hls_playlist_type', playlistType);
+    }
+    hlsOptions.push(...hlsSegmentTypeOptions(segmentType, `${ctx.filePrefix}_%v_init.mp4`));
+    if (encryption) {
+      applyHLSEncryption(command, hlsOptions, encryption, segmentLength);
+    }
+
+    command.outputOptions(hlsOptions);
+    command.output(path.join(hlsDir, `${ctx.filePrefix}_%v.m3u8`));
+
+    command.on('progress', (progress) => {
+      if (progress.percent) {
+        ctx.emit('progress', { stage: 'hls', percent: progress.percent, message: `Encoding ${rungs.length} renditions...` });
+      }
+    });
+
+    command
+      .on('start', (commandLine) => {
+        ctx.log.info('FFmpeg command: ' + commandLine);
+      })
+      .on('end', () => {
+        resolve(rungs.map(rung => ({
+          name: rung.name,
+          height: rung.height,
+          playlist: path.join(hlsDir, `${ctx.filePrefix}_${rung.name}.m3u8`)
+        })));
+      })
+      .on('error', (err) => {
+        reject(err);
+      });
+
+    trackCommand(ctx, command);
+    command.run();
+  });
+}
+
+/**
+ * Extra hls muxer options for the segment container; fMP4 needs an init segment name
+ */
+function hlsSegmentTypeOptions(segmentType, initFilename) {
+  if (segmentType !== 'fmp4') {
+    return [];
+  }
+  return ['-hls_segment_type', 'fmp4', '-hls_fmp4_init_filename', initFilename];
+}
+
+/**
+ * Encodes CMAF (fMP4) segments once with ffmpeg's dash muxer, which writes the
+ * DASH manifest and an HLS media playlist per stream (media_N.m3u8) pointing at
+ * the same segments. Ladder rungs become video representations sharing one audio track.
+ */
+function encodeDASH(ctx, rungs, outputConfig, metadata, dashDir) {
+  const { segmentLength } = outputConfig;
+  const manifestPath = path.join(dashDir, `${ctx.filePrefix}.mpd`);
+  const videoCount = metadata.hasVideo && !outputConfig.audioOnly ? (rungs ? rungs.length : 1) : 0;
+
+  return new Promise((resolve, reject) => {
+    ctx.log.info('Setting up CMAF encoding with DASH and HLS manifests...');
+
+    const { command, sources } = sourceCommand(ctx);
+    const composed = sourceGraph(ctx, command, sources, { video: videoCount > 0, audio: metadata.hasAudio });
+    const dashOptions = [];
+
+    if (rungs) {
+      const splitOutputs = rungs.map((rung, i) => `[s${i}]`).join('');
+      command.complexFilter([
+        ...(composed ? composed.graph : []),
+        `${composed ? composed.video : '[0:v]'}split=${rungs.length}${splitOutputs}`,
+        ...rungs.map((rung, i) => `[s${i}]scale=-2:${rung.height}[v${i}]`)
+      ].join(';'));
+      rungs.forEach((rung, i) => dashOptions.push('-map', `[v${i}]`));
+    } else if (composed) {
+      command.complexFilter(composed.graph.join(';'));
+      if (composed.video) {
+        dashOptions.push('-map', composed.video);
+      }
+    } else if (videoCount > 0) {
+      dashOptions.push('-map', '0:v:0');
+    }
+    if (metadata.hasAudio) {
+      dashOptions.push('-map', composed ? composed.audio : '0:a:0');
+    }
+
+    if (videoCount > 0) {
+      dashOptions.push(
+        '-c:v', 'libx264',
+        '-preset', 'ultrafast',
+        '-tune', 'fastdecode',
+        '-sc_threshold', '0',
+        '-force_key_frames', `expr:gte(t,n_forced*${segmentLength})`
+      );
+      (rungs || []).forEach((rung, i) => {
+        dashOptions.push(
+          `-b:v:${i}`, `${rung.videoBitrate}k`,
+          `-maxrate:v:${i}`, `${Math.round(rung.videoBitrate * 1.07)}k`,
+          `-bufsize:v:${i}`, `${rung.videoBitrate * 2}k`
+        );
+      });
+    }
+    if (metadata.hasAudio) {
+      dashOptions.push('-c:a', 'aac', '-b:a', `${rungs ? rungs[0].audioBitrate : outputConfig.audioBitrate || 96}k`, '-ac', '2', '-ar', '44100');
+      // Joined or composed audio already went through the loudness filter in the graph
+      if (ctx.loudnormFilter && !composed) {
+        dashOptions.push('-af', ctx.loudnormFilter);
+      }
+    }
+
+    const adaptationSets = [
+      videoCount > 0 && 'id=0,streams=v',
+      metadata.hasAudio && `id=${videoCount > 0 ? 1 : 0},streams=a`
+    ].filter(Boolean).join(' ');
+
+    dashOptions.push(
+      '-f', 'dash',
+      '-seg_duration', segmentLength,
+      '-use_template', '1',
+      '-use_timeline', '1',
+      '-dash_segment_type', 'mp4',
+      '-hls_playlist', '1',
+      '-init_seg_name', `${ctx.filePrefix}_$RepresentationID$_init.$ext$`,
+      '-media_seg_name', `${ctx.filePrefix}_$RepresentationID$_$Number%03d$.$ext$`,
+      '-adaptation_sets', adaptationSets
+    );
+
+    command.outputOptions(dashOptions);
+    command.output(manifestPath);
+
+    command.on('progress', (progress) => {
+      if (progress.percent) {
+        ctx.emit('progress', { stage: 'dash', percent: progress.percent, message: 'Processing...' });
+      }
+    });
+
+    command
+      .on('start', (commandLine) => {
+        ctx.log.info('FFmpeg command: ' + commandLine);
+      })
+      .on('end', () => {
+
+        // The dash muxer numbers its HLS media playlists by output stream: video first, then audio
+        const mediaPlaylist = (index) => path.join(dashDir, `media_${index}.m3u8`);
+        const variants = videoCount > 0
+          ? Array.from({ length: videoCount }, (value, i) => ({
+            name: rungs ? rungs[i].name : 'source',
+            playlist: mediaPlaylist(i)
+          }))
+          : [{ name: 'audio', playlist: mediaPlaylist(0) }];
+
+        resolve({
+          manifest: manifestPath,
+          variants,
+          audio: videoCount > 0 && metadata.hasAudio ? { playlist: mediaPlaylist(videoCount) } : null
+        });
+      })
+      .on('error', (err) => {
+        if (!ctx.cancelled) {
+          ctx.log.error(`DASH conversion failed: ${err.message}`);
+        }
+        reject(err);
+      });
+
+    trackCommand(ctx, command);
+    command.run();
+  });
+}
+
+/**
+ * Sets up AES-128 key management for an HLS run. Keys and the ffmpeg key info
+ * file live in keyDir, outside the published output directory.
+ */
+function prepareHLSEncryption(ctx, encryptionConfig) {
+  fs.mkdirSync(encryptionConfig.keyDir, { recursive: true });
+
+  const encryption = {
+    ...encryptionConfig,
+    keyInfoPath: path.join(encryptionConfig.keyDir, `${ctx.filePrefix}.keyinfo`),
+    keyPrefix: ctx.filePrefix,
+    keys: []
+  };
+  writeHLSKey(encryption);
+  if (encryption.keys[0].iv) {
+    ctx.log.warning('The IV in --hls-key-file is used for every segment. Leave it out so each segment gets its own IV from its sequence number.');
+  }
+
+  return encryption;
+}
+
+/**
+ * Writes the next key (random, or the one from --hls-key-file) and points the
+ * key info file at it. ffmpeg picks the new key up at the next segment when
+ * periodic_rekey is on. Without an IV line ffmpeg uses each segment's media
+ * sequence number as its IV, so no two segments share one.
+ */
+function writeHLSKey(encryption) {
+  const supplied = encryption.keyFile ? readHLSKeyFile(encryption.keyFile) : null;
+  const key = supplied ? supplied.key : crypto.randomBytes(16);
+  const iv = supplied && supplied.iv;
+  const keyName = `${encryption.keyPrefix}_${encryption.keys.length}.key`;
+  const keyPath = path.join(encryption.keyDir, keyName);
+  const uri = encryption.keyUri.replace(/\{key\}/g, keyName);
+
+  fs.writeFileSync(keyPath, key, { mode: 0o600 });
+
+  // Replace the key info file in one step so ffmpeg never reads a half-written one
+  const tempPath = `${encryption.keyInfoPath}.tmp`;
+  fs.writeFileSync(tempPath, `${uri}\n${keyPath}\n${iv ? `${iv.toString('hex')}\n` : ''}`, { mode: 0o600 });
+  fs.renameSync(tempPath, encryption.keyInfoPath);
+
+  encryption.keys.push({ file: keyPath, uri, iv: iv ? `0x${iv.toString('hex')}` : null });
+}
+
+/**
+ * Removes the variant playlists, segments and init segments a failed ladder
+ * encode left behind, so they are not mistaken for finished renditions
+ */
+function removeHLSLadderFiles(ctx, rungs, hlsDir) {
+  const prefixes = rungs.map(rung => `${ctx.filePrefix}_${rung.name}`);
+  fs.readdirSync(hlsDir)
+    .filter(file => prefixes.some(prefix => file.startsWith(`${prefix}_`) || file.startsWith(`${prefix}.m3u8`)))
+    .forEach(file => fs.rmSync(path.join(hlsDir, file), { force: true }));
+}
+
+/**
+ * Drops the keys of a failed attempt and starts over with a fresh first key
+ */
+function resetHLSEncryption(encryption) {
+  encryption.keys.forEach(key => fs.rmSync(key.file, { force: true }));
+  encryption.keys = [];
+  writeHLSKey(encryption);
+}
+
+/**
+ * Adds the key info file to an HLS command and, with rotation, writes a new
+ * key whenever encoding moves past another rotateEvery segments. The segment
+ * is estimated from ffmpeg's progress timemark, which lags the muxer and
+ * ignores where keyframes put the real cuts, so the interval is approximate.
+ */
+function applyHLSEncryption(command, hlsOptions, encryption, segmentLength) {
+  hlsOptions.push('-hls_key_info_file', encryption.keyInfoPath);
+
+  if (encryption.rotateEvery) {
+    hlsOptions.push('-hls_flags', 'periodic_rekey');
+    command.on('progress', (progress) => {
+      const seconds = parseTimestamp(progress.timemark);
+      const segment = Math.floor(seconds / segmentLength);
+      if (Number.isFinite(segment) && segment >= encryption.keys.length * encryption.rotateEvery) {
+        writeHLSKey(encryption);
+      }
+    });
+  }
+}
+
+/**
+ * Records where the keys are in the metadata file; key bytes are never written there
+ */
+function recordHLSEncryption(ctx, encryption) {
+  if (!encryption) {
+    return;
+  }
+
+  fs.rmSync(encryption.keyInfoPath, { force: true });
+  ctx.log.success(`Encrypted with ${encryption.keys.length} AES-128 key(s) stored in ${encryption.keyDir}`);
+  if (encryption.keyUri === '{key}') {
+    ctx.log.warning('Keys are not in the output directory. Serve them next to the variant playlists or set --hls-key-uri to your key server.');
+  }
+
+  updateMetadata(ctx, {
+    encryption: {
+      method: 'AES-128',
+      keyDirectory: encryption.keyDir,
+      rotateEverySegments: encryption.rotateEvery,
+      iv: encryption.keys.some(key => key.iv) ? 'fixed' : 'media-sequence',
+      keys: encryption.keys.map(key => ({ file: path.basename(key.file), uri: key.uri, ...(key.iv && { iv: key.iv }) }))
+    }
+  });
+}
+
+/**
+ * Last resort HLS conversion with absolute minimal parameters
+ */
+async function tryLastResortHLSConversion(ctx, playlistPath, segmentPattern, encryption, segmentType, audioOnly, metadata) {
+  return new Promise((resolve, reject) => {
+    ctx.log.info('Attempting last resort HLS conversion with absolute minimal parameters...');
+    
+    const { command, sources } = sourceCommand(ctx);
+    
+    // Absolute minimal HLS options - maximum compatibility
+    const hlsOptions = [
+      ...(audioOnly ? ['-vn'] : ['-c:v', 'libx264', '-preset', 'ultrafast']),
+      '-c:a', 'aac',
+      '-hls_time', 4,
+      '-hls_segment_filename', segmentPattern,
+      ...hlsSegmentTypeOptions(segmentType, `${ctx.filePrefix}_init.mp4`),
+      '-f', 'hls'
+    ];
+    
+    // Encryption is never dropped, even here
+    if (encryption) {
+      applyHLSEncryption(command, hlsOptions, encryption, 4);
+    }
+    // Loudness, intro, outro, watermark and the selection are never dropped either; they are what was asked for
+    applyOutputFilters(ctx, command, { sources, video: !audioOnly, audio: metadata.hasAudio });
+    
+    command.outputOptions(hlsOptions);
+    command.output(playlistPath);
+    
+    command
+      .on('end', () => {
+        ctx.log.success(`HLS stream created successfully with minimal parameters`);
+        recordHLSEncryption(ctx, encryption);
+        createMasterPlaylist(ctx, [{ name: audioOnly ? 'audio' : 'source', playlist: playlistPath }], metadata, {
+          segmentType,
+          audioOnly,
+          encrypted: Boolean(encryption)
+        })
+          .then(resolve, reject);
+      })
+      .on('error', (err) => {
+        ctx.log.error(`Last resort HLS conversion failed: ${err.message}`);
+        ctx.log.warning('Please ensure FFmpeg is properly installed with libx264 and HLS support');
+        reject(err);
+      });
+    
+    trackCommand(ctx, command);
+    command.run();
+  });
+}
+
+/**
+ * Measures a variant playlist from its segments: BANDWIDTH is the peak
+ * per-segment bitrate, AVERAGE-BANDWIDTH the bitrate over the whole stream.
+ * Resolution and codecs are probed from the init segment (fMP4) or the first
+ * segment, unless the rendition settings are given - encrypted segments can't be probed.
+ */
+async function measureVariant(playlistPath, rendition = null) {
+  const lines = fs.readFileSync(playlistPath, 'utf8').split(/\r?\n/);
+  let segmentDuration = null;
+  let totalBits = 0;
+  let totalDuration = 0;
+  let peakBitrate = 0;
+  let firstSegment = null;
+  let initSegment = null;
+
+  for (const line of lines) {
+    const map = line.match(/^#EXT-X-MAP:.*URI="([^"]+)"/);
+    if (map) {
+      initSegment = path.join(path.dirname(playlistPath), map[1]);
+    } else if (line.startsWith('#EXTINF:')) {
+      segmentDuration = parseFloat(line.slice('#EXTINF:'.length));
+    } else if (line.trim() !== '' && !line.startsWith('#') && segmentDuration > 0) {
+      const segmentPath = path.join(path.dirname(playlistPath), line.trim());
+      const bits = fs.statSync(segmentPath).size * 8;
+      totalBits += bits;
+      totalDuration += segmentDuration;
+      peakBitrate = Math.max(peakBitrate, bits / segmentDuration);
+      firstSegment = firstSegment || segmentPath;
+      segmentDuration = null;
+    }
+  }
+
+  if (!firstSegment) {
+    throw new Error(`No segments listed in ${playlistPath}`);
+  }
+
+  const measured = {
+    bandwidth: Math.ceil(peakBitrate),
+    averageBandwidth: Math.ceil(totalBits / totalDuration),
+    duration: totalDuration
+  };
+  if (rendition) {
+    return { ...measured, ...rendition };
+  }
+
+  // fMP4 media segments carry no codec headers of their own; those live in the init segment
+  const probe = await getVideoMetadata(initSegment || firstSegment);
+
+  return {
+    ...measured,
+    resolution: probe.hasVideo ? probe.resolution : null,
+    codecs: codecsString(probe),
+    startTime: probe.startTime
+  };
+}
+
+/**
+ * Resolution, codecs and start time of an HLS rendition as our encode settings
+ * produce it: x264 ultrafast (Constrained Baseline) at the lowest H.264 level
+ * that fits the frame size and rate, and AAC-LC audio. The mpegts muxer delays
+ * the first timestamp by 1.4 seconds; fMP4 starts at zero.
+ */
+function hlsRenditionSettings(metadata, stream, height = null) {
+  const hasVideo = !stream.audioOnly && metadata.hasVideo;
+  const startTime = stream.segmentType === 'fmp4' ? 0 : 1.4;
+  if (!hasVideo) {
+    return { resolution: null, codecs: codecsString({ audioCodec: metadata.hasAudio ? 'aac' : null }), startTime };
+  }
+
+  // scale=-2:<height> keeps the aspect ratio with an even width
+  const outputHeight = height || metadata.height;
+  const width = height ? Math.round((metadata.width * height) / metadata.height / 2) * 2 : metadata.width;
+  const videoStream = metadata.streams.find(entry => entry.type === 'video');
+  const frameRate = parseFrameRate(videoStream && videoStream.frameRate) || 30;
+  const macroblocks = Math.ceil(width / 16) * Math.ceil(outputHeight / 16);
+  // [level_idc, max frame size, max macroblocks per second] from H.264 Annex A
+  const levels = [
+    [21, 792, 19800], [22, 1620, 20250], [30, 1620, 40500], [31, 3600, 108000],
+    [32, 5120, 216000], [40, 8192, 245760], [42, 8704, 522240], [50, 22080, 589824],
+    [51, 36864, 983040], [52, 36864, 2073600]
+  ];
+  const level = levels.find(([, frameSize, rate]) => macroblocks <= frameSize && macroblocks * frameRate <= rate);
+
+  return {
+    resolution: `${width}x${outputHeight}`,
+    codecs: codecsString({
+      videoCodec: 'h264',
+      videoProfile: 'Constrained Baseline',
+      videoLevel: level ? level[0] : 52,
+      audioCodec: metadata.hasAudio ? 'aac' : null
+    }),
+    startTime
+  };
+}
+
+/**
+ * RFC 6381 codec string (e.g. "avc1.64001f,mp4a.40.2") for the CODECS attribute
+ */
+function codecsString(probe) {
+  const codecs = [];
+
+  if (probe.videoCodec === 'h264') {
+    // profile_idc and constraint flags per H.264 profile name reported by ffprobe
+    const profiles = {
+      'Constrained Baseline': '42e0',
+      'Baseline': '4200',
+      'Main': '4d40',
+      'High': '6400',
+      'High 10': '6e00',
+      'High 4:2:2': '7a00',
+      'High 4:4:4 Predictive': 'f400'
+    };
+    const profile = profiles[probe.videoProfile] || '6400';
+    const level = Number(probe.videoLevel) > 0 ? Number(probe.videoLevel) : 31;
+    codecs.push(`avc1.${profile}${level.toString(16).padStart(2, '0')}`);
+  }
+
+  if (probe.audioCodec === 'aac') {
+    codecs.push(probe.audioProfile === 'HE-AAC' ? 'mp4a.40.5' : 'mp4a.40.2');
+  } else if (probe.audioCodec === 'mp3') {
+    codecs.push('mp4a.40.34');
+  }
+
+  return codecs.length > 0 ? codecs.join(',') : null;
+}
+
+/**
+ * Writes every subtitle track as a segmented WebVTT rendition next to the
+ * variant playlists, with segments as long as the HLS segments. Each segment
+ * holds the cues overlapping it, and X-TIMESTAMP-MAP ties cue time zero to the
+ * start of the first media segment so captions stay in sync.
+ */
+function writeHLSSubtitles(ctx, variant) {
+  const segmentLength = parseInt(ctx.options.hlsSegment, 10) || 4;
+  const segmentCount = Math.max(1, Math.ceil(variant.duration / segmentLength));
+  const timestampMap = `X-TIMESTAMP-MAP=MPEGTS:${Math.round(variant.startTime * 90000)},LOCAL:00:00:00.000`;
+  const dir = path.dirname(variant.playlist);
+  // Cues follow the selected part of the source, which starts after the intro in the stream
+  const offset = introDuration(ctx);
+
+  return ctx.subtitleTracks.map((track) => {
+    const name = `${ctx.filePrefix}_subtitles_${track.label}`;
+    const selected = selectCues(ctx, track.cues);
+    const lines = [
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      `#EXT-X-TARGETDURATION:${segmentLength}`,
+      '#EXT-X-MEDIA-SEQUENCE:0',
+      ...(ctx.options.hlsType === 'vod' ? ['#EXT-X-PLAYLIST-TYPE:VOD'] : [])
+    ];
+
+    for (let i = 0; i < segmentCount; i++) {
+      const start = i * segmentLength;
+      const end = Math.min(start + segmentLength, variant.duration);
+      const file = `${name}_${String(i).padStart(3, '0')}.vtt`;
+      const cues = selected
+        .map(cue => ({ ...cue, start: cue.start + offset, end: cue.end + offset }))
+        .filter(cue => cue.end > start && cue.start < end);
+      fs.writeFileSync(path.join(dir, file), formatSubtitles(cues, 'vtt', [timestampMap]));
+      lines.push(`#EXTINF:${(end - start).toFixed(3)},`, file);
+    }
+    lines.push('#EXT-X-ENDLIST');
+
+    const playlist = path.join(dir, `${name}.m3u8`);
+    fs.writeFileSync(playlist, `${lines.join('\n')}\n`);
+    return { name: track.name, language: track.language, playlist, segments: segmentCount };
+  });
+}
+
+/**
+ * Creates a master playlist for HLS listing every variant with measured
+ * bandwidth, resolution and codecs. A separate audio playlist (DASH/CMAF
+ * output) becomes an audio group whose bandwidth and codec are added to
+ * every variant, and subtitle tracks become a WebVTT subtitle group.
+ */
+async function createMasterPlaylist(ctx, variants, metadata, stream = {}) {
+  const masterPlaylistPath = path.join(ctx.outputDir, `${ctx.filePrefix}_master.m3u8`);
+  const relativeUri = (file) => path.relative(ctx.outputDir, file).split(path.sep).join('/');
+  const entries = [];
+
+  for (const variant of variants) {
+    const rendition = stream.encrypted ? hlsRenditionSettings(metadata, stream, variant.height) : null;
+    const measured = await measureVariant(variant.playlist, rendition);
+    entries.push({
+      ...variant,
+      ...measured,
+      uri: relativeUri(variant.playlist)
+    });
+  }
+
+  const audio = stream.audio
+    ? { ...(await measureVariant(stream.audio.playlist)), uri: relativeUri(stream.audio.playlist) }
+    : null;
+  const subtitles = writeHLSSubtitles(ctx, entries[0])
+    .map(track => ({ ...track, uri: relativeUri(track.playlist) }));
+
+  const lines = [
+    '#EXTM3U',
+    `#EXT-X-VERSION:${stream.segmentType === 'fmp4' ? 7 : 3}`
+  ];
+  if (stream.segmentType === 'fmp4') {
+    lines.push('#EXT-X-INDEPENDENT-SEGMENTS');
+  }
+  if (audio) {
+    lines.push(`#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="Audio",DEFAULT=YES,AUTOSELECT=YES,URI="${audio.uri}"`);
+  }
+  subtitles.forEach((track) => {
+    const language = track.language ? `,LANGUAGE="${track.language}"` : '';
+    // Captions start switched off; learners turn them on in the player
+    lines.push(`#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="${track.name.replace(/"/g, "'")}"${language},DEFAULT=NO,AUTOSELECT=YES,URI="${track.uri}"`);
+  });
+
+  entries.forEach(entry => {
+    const codecs = [entry.codecs, audio && audio.codecs].filter(Boolean).join(',');
+    const attributes = [
+      `BANDWIDTH=${entry.bandwidth + (audio ? audio.bandwidth : 0)}`,
+      `AVERAGE-BANDWIDTH=${entry.averageBandwidth + (audio ? audio.averageBandwidth : 0)}`,
+      entry.resolution && `RESOLUTION=${entry.resolution}`,
+      codecs && `CODECS="${codecs}"`,
+      audio && 'AUDIO="audio"',
+      subtitles.length > 0 && 'SUBTITLES="subs"'
+    ].filter(Boolean);
+    lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`, entry.uri);
+  });
+
+  const masterPlaylistContent = `${lines.join('\n')}\n`;
+  
+  fs.writeFileSync(masterPlaylistPath, masterPlaylistContent);
+  ctx.log.success(`Master playlist created: ${masterPlaylistPath}`);
+  entries.forEach(entry => {
+    ctx.log.info(`• ${entry.uri}: ${entry.resolution || 'audio only'}, peak ${Math.round(entry.bandwidth / 1000)} kbps, average ${Math.round(entry.averageBandwidth / 1000)} kbps`);
+  });
+  if (audio) {
+    ctx.log.info(`• ${audio.uri}: audio, peak ${Math.round(audio.bandwidth / 1000)} kbps, average ${Math.round(audio.averageBandwidth / 1000)} kbps`);
+  }
+  subtitles.forEach(track => ctx.log.info(`• ${track.uri}: subtitles "${track.name}", ${track.segments} WebVTT segments`));
+  if (stream.dashManifest) {
+    ctx.log.success(`DASH manifest created: ${stream.dashManifest}`);
+  }
+
+  updateMetadata(ctx, {
+    hlsVariants: entries.map(entry => ({
+      name: entry.name,
+      playlist: entry.uri,
+      bandwidth: entry.bandwidth,
+      averageBandwidth: entry.averageBandwidth,
+      resolution: entry.resolution,
+      codecs: entry.codecs
+    })),
+    ...(audio && {
+      hlsAudio: {
+        playlist: audio.uri,
+        bandwidth: audio.bandwidth,
+        averageBandwidth: audio.averageBandwidth,
+        codecs: audio.codecs
+      }
+    }),
+    ...(subtitles.length > 0 && {
+      hlsSubtitles: subtitles.map(track => ({
+        name: track.name,
+        language: track.language,
+        playlist: track.uri,
+        segments: track.segments
+      }))
+    }),
+    segmentType: stream.segmentType || 'mpegts',
+    ...(stream.dashManifest && { dashManifest: relativeUri(stream.dashManifest) })
+  });
+  
+  // Create the HTML player
+  createHLSPlayer(ctx, masterPlaylistPath, metadata, {
+    segmentType: stream.segmentType || 'mpegts',
+    variantPlaylists: entries.map(entry => entry.uri),
+    audioPlaylist: audio ? audio.uri : null,
+    subtitlePlaylists: subtitles.map(track => track.uri),
+    thumbnails: ctx.thumbnails,
+    audioOnly: Boolean(stream.audioOnly),
+    dashManifest: stream.dashManifest ? relativeUri(stream.dashManifest) : null
+  });
+}
+
+/**
+ * Version of the installed hls.js package, so the CDN player runs the same
+ * hls.js as bundled players; the latest 1.x when the package is missing
+ */
+function installedHlsJsVersion() {
+  try {
+    return require('hls.js/package.json').version;
+  } catch (error) {
+    return '1';
+  }
+}
+
+/**
+ * Path of the hls.js build from the hls.js package, for --hls-player bundle and inline
+ */
+function hlsJsPath() {
+  try {
+    return require.resolve(`hls.js/dist/${HLS_JS_FILE}`);
+  } catch (err) {
+    throw new Error('--hls-player bundle and inline need the hls.js package - reinstall chunkify or run "npm install hls.js".');
+  }
+}
+
+/**
+ * Creates a simple HTML player for HLS content, with quality, speed and
+ * subtitle selection. hls.js comes from the CDN, a copy next to the player
+ * (works offline) or is inlined, per --hls-player.
+ */
+function createHLSPlayer(ctx, playlistPath, metadata, stream) {
+  const playerPath = path.join(ctx.outputDir, 'player.html');
+  const segmentDir = path.posix.dirname(stream.variantPlaylists[0]);
+  const segmentFiles = stream.segmentType === 'fmp4'
+    ? `\`${segmentDir}/${ctx.filePrefix}_*.mp4\` and \`${segmentDir}/${ctx.filePrefix}_*.m4s\`: fMP4 (CMAF) init and media segments`
+    : `\`${segmentDir}/${ctx.filePrefix}_*.ts\`: ${stream.audioOnly ? 'Audio' : 'Video'} segments`;
+  
+  // Important: For local file playback, we need to use the file name only
+  // and place the player in the same directory as the master playlist
+  const playlistFilename = path.basename(playlistPath);
+  
+  // Serves this folder so the player works without installing a web server
+  const previewCommand = `chunkify preview ${/\s/.test(ctx.outputDir) ? `"${ctx.outputDir}"` : ctx.outputDir}`;
+  const duration = ctx.selection ? ctx.selection.duration : metadata.duration || 0;
+  
+  const hlsPlayer = ctx.options.hlsPlayer;
+  const bundledPath = path.join(ctx.outputDir, HLS_JS_FILE);
+  let inlineScript = '';
+  if (hlsPlayer === 'bundle') {
+    fs.copyFileSync(hlsJsPath(), bundledPath);
+    ctx.log.info(`hls.js bundled for offline playback: ${bundledPath}`);
+  } else {
+    // A copy from an earlier run would otherwise be published unused
+    fs.rmSync(bundledPath, { force: true });
+    if (hlsPlayer === 'inline') {
+      // "</script" inside the library would end the inline script element early
+      inlineScript = `  <script>${fs.readFileSync(hlsJsPath(), 'utf8').replace(/<\/script/gi, '<\\/script')}</script>\n`;
+    }
+  }
+  const hlsJsSource = hlsPlayer === 'bundle' ? HLS_JS_FILE : hlsPlayer === 'cdn' ? HLS_JS_CDN : null;
+  
+  const playerHtml = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>HLS Player by Adons Tech</title>
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      max-width: 900px;
+      margin: 0 auto;
+      padding: 20px;
+      background-color: #f5f5f5;
+      color: #333;
+    }
+    h1 {
+      color: #2c3e50;
+      text-align: center;
+    }
+    .player-container {
+      width: 100%;
+      background: #fff;
+      border-radius: 8px;
+      overflow: hidden;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.1);
+      margin: 20px 0;
+    }
+    video {
+      width: 100%;
+      display: block;
+    }
+    .info {
+      padding: 15px;
+      background: #ecf0f1;
+      border-radius: 0 0 8px 8px;
+    }
+    .info p {
+      margin: 5px 0;
+    }
+    .note {
+      background-color: #fef9e7;
+      border-left: 4px solid #f1c40f;
+      padding: 10px 15px;
+      margin: 20px 0;
+      font-size: 14px;
+    }
+    .footer {
+      text-align: center;
+      margin-top: 30px;
+      font-size: 14px;
+      color: #7f8c8d;
+    }
+    .error-message {
+      color: #e74c3c;
+      font-weight: bold;
+      text-align: center;
+      padding: 10px;
+      display: none;
+    }
+    .instructions {
+      margin-top: 20px;
+      padding: 15px;
+      background: #e8f4f8;
+      border-radius: 8px;
+      font-size: 14px;
+    }
+    .instructions h3 {
+      margin-top: 0;
+      color: #2980b9;
+    }
+    .instructions ol {
+      padding-left: 20px;
+    }
+    .instructions li {
+      margin-bottom: 8px;
+    }
+    .controls {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 15px;
+      padding: 10px 15px;
+      background: #fff;
+      font-size: 14px;
+    }
+    .controls label {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+    }
+    .controls select {
+      padding: 4px;
+    }
+    .controls [hidden] {
+      display: none;
+    }
+    .seek-bar {
+      position: relative;
+      height: 10px;
+      background: #dfe6e9;
+      cursor: pointer;
+    }
+    .seek-bar[hidden] {
+      display: none;
+    }
+    .seek-progress {
+      height: 100%;
+      width: 0;
+      background: #2980b9;
+    }
+    .seek-preview {
+      position: absolute;
+      bottom: 16px;
+      display: none;
+      transform: translateX(-50%);
+      background: #000;
+      border: 2px solid #fff;
+      box-shadow: 0 2px 8px rgba(0,0,0,0.4);
+      color: #fff;
+      font-size: 12px;
+      text-align: center;
+      pointer-events: none;
+    }
+    .seek-bar:hover .seek-preview {
+      display: block;
+    }
+    .seek-preview-image {
+      background-repeat: no-repeat;
+    }
+  </style>
+</head>
+<body>
+  <h1>HLS Player by Adons Tech</h1>
+  
+  <div class="note">
+    <p><strong>Note:</strong> Due to browser security restrictions, this player may not work when opened directly from your file system. 
+    Run <code>${previewCommand}</code> and open the address it prints.</p>
+  </div>
+  
+  <div class="player-container">
+    <video id="video" controls></video>
+    <div id="seek-bar" class="seek-bar" hidden>
+      <div id="seek-progress" class="seek-progress"></div>
+      <div id="seek-preview" class="seek-preview">
+        <div id="seek-preview-image" class="seek-preview-image"></div>
+        <span id="seek-preview-time"></span>
+      </div>
+    </div>
+    <div class="controls">
+      <label id="quality-control" hidden>Quality <select id="quality"></select></label>
+      <label>Speed
+        <select id="speed">
+          <option value="0.5">0.5x</option>
+          <option value="0.75">0.75x</option>
+          <option value="1" selected>1x</option>
+          <option value="1.25">1.25x</option>
+          <option value="1.5">1.5x</option>
+          <option value="2">2x</option>
+        </select>
+      </label>
+      <label id="subtitle-control" hidden>Subtitles <select id="subtitles"></select></label>
+    </div>
+    <div id="error-message" class="error-message">Error loading video. Please check browser console for details.</div>
+    <div class="info">
+      <p><strong>Source:</strong> ${path.basename(ctx.inputFile)}</p>
+      <p><strong>Resolution:</strong> ${stream.audioOnly ? 'Audio only' : metadata.resolution || 'Unknown'}</p>
+      <p><strong>Duration:</strong> ${Math.floor(duration)} seconds (${(duration / 60).toFixed(1)} minutes)${ctx.selection ? ' selected' : ''}</p>
+      <p><strong>Segments:</strong> ${stream.segmentType === 'fmp4' ? 'fMP4 (CMAF)' : 'MPEG-TS'}</p>${stream.subtitlePlaylists.length > 0 ? `
+      <p><strong>Subtitles:</strong> ${stream.subtitlePlaylists.length} track(s) - turn them on under the video</p>` : ''}${stream.thumbnails ? `
+      <p><strong>Seek previews:</strong> hover over the bar under the video</p>` : ''}${stream.dashManifest ? `
+      <p><strong>DASH manifest:</strong> <code>${stream.dashManifest}</code> (same segments, for DASH players)</p>` : ''}
+    </div>
+  </div>
+  
+  <div class="instructions">
+    <h3>How to Play This Video</h3>
+    <ol>
+      <li>Option 1: Run <code>${previewCommand}</code> (or add <code>--serve</code> when generating) and open the address it prints.</li>
+      <li>Option 2: Upload these files to a web server that supports HLS streaming.</li>
+      <li>Option 3: Use VLC Media Player to open the <code>${playlistFilename}</code> file directly.</li>
+    </ol>
+  </div>
+  
+${inlineScript}  <script>
+    document.addEventListener('DOMContentLoaded', function() {
+      const video = document.getElementById('video');
+      const errorMessage = document.getElementById('error-message');
+      const qualitySelect = document.getElementById('quality');
+      const speedSelect = document.getElementById('speed');
+      const subtitleSelect = document.getElementById('subtitles');
+      // Where hls.js is loaded from; null when it is inlined above
+      const hlsJsSource = ${JSON.stringify(hlsJsSource)};
+      // WebVTT track of seek preview thumbnails (--thumbnails), or null
+      const thumbnailsTrack = ${JSON.stringify(stream.thumbnails ? stream.thumbnails.track : null)};
+      
+      // Check if we're running from a web server or file system
+      const isWebServer = window.location.protocol !== 'file:';
+      
+      if (!isWebServer) {
+        errorMessage.style.display = 'block';
+        errorMessage.textContent = ${JSON.stringify(`For security reasons, HLS playback requires a web server. Run ${previewCommand} and open the address it prints.`)};
+        return;
+      }
+      
+      speedSelect.addEventListener('change', function() {
+        video.playbackRate = Number(speedSelect.value);
+      });
+      // A new source resets the rate, so the chosen speed is applied again
+      video.addEventListener('loadedmetadata', function() {
+        video.playbackRate = Number(speedSelect.value);
+      });
+      
+      if (thumbnailsTrack) {
+        setupSeekPreviews();
+      }
+      
+      // Fills a control's choices; it stays hidden until there is something to choose
+      function fillSelect(select, choices, selected, shown) {
+        select.innerHTML = '';
+        choices.forEach(function(choice) {
+          const option = document.createElement('option');
+          option.value = choice.value;
+          option.textContent = choice.label;
+          option.selected = choice.value === selected;
+          select.appendChild(option);
+        });
+        select.parentElement.hidden = !shown;
+      }
+      
+      // A seek bar under the video that shows the thumbnail of the hovered time
+      function setupSeekPreviews() {
+        const seekBar = document.getElementById('seek-bar');
+        const progress = document.getElementById('seek-progress');
+        const preview = document.getElementById('seek-preview');
+        const previewImage = document.getElementById('seek-preview-image');
+        const previewTime = document.getElementById('seek-preview-time');
+        const trackUrl = new URL(thumbnailsTrack, window.location.href);
+        let thumbnails = [];
+        
+        const parseTime = function(text) {
+          return text.split(':').reduce(function(total, part) { return total * 60 + Number(part); }, 0);
+        };
+        const formatTime = function(seconds) {
+          const s = Math.floor(seconds);
+          const clock = Math.floor(s / 60) % 60 + ':' + String(s % 60).padStart(2, '0');
+          return s >= 3600 ? Math.floor(s / 3600) + ':' + clock.padStart(5, '0') : clock;
+        };
+        
+        // Cues are "start --> end" followed by "sprite.jpg#xywh=x,y,w,h"
+        fetch(trackUrl).then(function(response) {
+          if (!response.ok) throw new Error(response.status + ' ' + response.statusText);
+          return response.text();
+        }).then(function(text) {
+          thumbnails = text.split(/\\r?\\n\\r?\\n/).map(function(block) {
+            const lines = block.trim().split(/\\r?\\n/);
+            const timing = lines.findIndex(function(line) { return line.indexOf('-->') !== -1; });
+            const match = timing === -1 ? null : /^(.*)#xywh=(\\d+),(\\d+),(\\d+),(\\d+)$/.exec(lines[timing + 1] || '');
+            if (!match) return null;
+            const times = lines[timing].split('-->');
+            return {
+              start: parseTime(times[0].trim()),
+              end: parseTime(times[1].trim().split(/\\s+/)[0]),
+              url: new URL(match[1], trackUrl).href,
+              x: Number(match[2]),
+              y: Number(match[3]),
+              width: Number(match[4]),
+              height: Number(match[5])
+            };
+          }).filter(Boolean);
+          seekBar.hidden = false;
+        }).catch(function(error) {
+          console.error('Could not load seek thumbnails:', error);
+        });
+        
+        const timeAt = function(event) {
+          const rect = seekBar.getBoundingClientRect();
+          const ratio = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+          return { ratio: ratio, time: ratio * (video.duration || 0), rect: rect };
+        };
+        
+        video.addEventListener('timeupdate', function() {
+          progress.style.width = (video.duration ? video.currentTime / video.duration * 100 : 0) + '%';
+        });
+        seekBar.addEventListener('click', function(event) {
+          if (video.duration) {
+            video.currentTime = timeAt(event).time;
+          }
+        });
+        seekBar.addEventListener('mousemove', function(event) {
+          const position = timeAt(event);
+          const thumbnail = thumbnails.find(function(cue) { return position.time >= cue.start && position.time < cue.end; })
+            || thumbnails[thumbnails.length - 1];
+          if (thumbnail) {
+            previewImage.style.width = thumbnail.width + 'px';
+            previewImage.style.height = thumbnail.height + 'px';
+            previewImage.style.backgroundImage = 'url("' + thumbnail.url + '")';
+            previewImage.style.backgroundPosition = '-' + thumbnail.x + 'px -' + thumbnail.y + 'px';
+          }
+          previewTime.textContent = formatTime(position.time);
+          // Keep the preview inside the player at both ends of the bar
+          const half = preview.offsetWidth / 2;
+          const x = Math.min(Math.max(position.ratio * position.rect.width, half), position.rect.width - half);
+          preview.style.left = x + 'px';
+        });
+      }
+      
+      if (window.Hls || !hlsJsSource) {
+        initializePlayer();
+        return;
+      }
+      
+      // Load HLS.js dynamically to avoid CORS issues with local files
+      const script = document.createElement('script');
+      script.src = hlsJsSource;
+      script.onload = function() {
+        initializePlayer();
+      };
+      script.onerror = function() {
+        errorMessage.style.display = 'block';
+        errorMessage.textContent = hlsJsSource === ${JSON.stringify(HLS_JS_CDN)}
+          ? 'Failed to load HLS.js library. Please check your internet connection.'
+          : 'Failed to load ' + hlsJsSource + '. Keep it in the same folder as this player.';
+      };
+      document.head.appendChild(script);
+      
+      function initializePlayer() {
+        const videoSrc = '${playlistFilename}';
+        console.log('Attempting to load HLS stream:', videoSrc);
+        
+        if (window.Hls && Hls.isSupported()) {
+          const hls = new Hls({
+            debug: true
+          });
+          
+          hls.on(Hls.Events.ERROR, function(event, data) {
+            console.error('HLS error:', data);
+            if (data.fatal) {
+              errorMessage.style.display = 'block';
+              errorMessage.textContent = 'Error: ' + data.type + ' - ' + data.details;
+            }
+          });
+          
+          hls.loadSource(videoSrc);
+          hls.attachMedia(video);
+          
+          hls.on(Hls.Events.MANIFEST_PARSED, function() {
+            console.log('HLS manifest parsed successfully');
+            // Highest quality first, below automatic selection
+            const levels = hls.levels
+              .map(function(level, index) {
+                const label = level.height ? level.height + 'p' : Math.round(level.bitrate / 1000) + ' kbps';
+                return { value: String(index), label: label, bitrate: level.bitrate };
+              })
+              .sort(function(a, b) { return b.bitrate - a.bitrate; });
+            fillSelect(qualitySelect, [{ value: '-1', label: 'Auto' }].concat(levels), '-1', levels.length > 1);
+          });
+          
+          // In Auto, show which rendition is playing
+          hls.on(Hls.Events.LEVEL_SWITCHED, function(event, data) {
+            const level = hls.levels[data.level];
+            qualitySelect.options[0].textContent = hls.autoLevelEnabled && level && level.height
+              ? 'Auto (' + level.height + 'p)'
+              : 'Auto';
+          });
+          
+          qualitySelect.addEventListener('change', function() {
+            hls.currentLevel = Number(qualitySelect.value);
+          });
+          
+          hls.on(Hls.Events.SUBTITLE_TRACKS_UPDATED, function() {
+            const tracks = hls.subtitleTracks.map(function(track, index) {
+              return { value: String(index), label: track.name || track.lang || 'Track ' + (index + 1) };
+            });
+            fillSelect(subtitleSelect, [{ value: '-1', label: 'Off' }].concat(tracks), String(hls.subtitleTrack), tracks.length > 0);
+          });
+          
+          subtitleSelect.addEventListener('change', function() {
+            hls.subtitleTrack = Number(subtitleSelect.value);
+            hls.subtitleDisplay = hls.subtitleTrack !== -1;
+          });
+        } else if (video.canPlayType('application/vnd.apple.mpegurl')) {
+          // Native HLS support (Safari) picks the quality itself; subtitles are the video's text tracks
+          console.log('Using native HLS support');
+          video.src = videoSrc;
+          video.addEventListener('error', function(e) {
+            console.error('Video error:', video.error);
+            errorMessage.style.display = 'block';
+          });
+          
+          const textTracks = function() {
+            return Array.prototype.filter.call(video.textTracks, function(track) {
+              return track.kind === 'subtitles' || track.kind === 'captions';
+            });
+          };
+          video.textTracks.addEventListener('addtrack', function() {
+            const tracks = textTracks();
+            const showing = tracks.findIndex(function(track) { return track.mode === 'showing'; });
+            fillSelect(subtitleSelect, [{ value: '-1', label: 'Off' }].concat(tracks.map(function(track, index) {
+              return { value: String(index), label: track.label || track.language || 'Track ' + (index + 1) };
+            })), String(showing), tracks.length > 0);
+          });
+          subtitleSelect.addEventListener('change', function() {
+            textTracks().forEach(function(track, index) {
+              track.mode = String(index) === subtitleSelect.value ? 'showing' : 'disabled';
+            });
+          });
+        } else {
+          errorMessage.style.display = 'block';
+          errorMessage.textContent = 'HLS is not supported in this browser';
+          console.error('HLS is not supported in this browser');
+        }
+      }
+    });
+  </script>
+  
+  <div class="footer">
+    <p>Created by Adons Tech and researched by Antlers Labs</p>
+  </div>
+</body>
+</html>`;
+  
+  fs.writeFileSync(playerPath, playerHtml);
+  ctx.log.success(`HTML player created: ${playerPath}`);
+  ctx.log.info(`Open this file in a web browser to play the HLS stream`);
+  
+  // Create a simple README file with instructions in the output directory
+  const readmePath = path.join(ctx.outputDir, 'PLAYBACK.md');
+  const readmeContent = `# HLS Playback Instructions
+
+This folder contains HLS (HTTP Live Streaming) files generated by IELTS2GO Video Chunker.
+
+## Files
+- \`${playlistFilename}\`: Master playlist file
+${stream.variantPlaylists.map(uri => `- \`${uri}\`: Variant playlist file`).join('\n')}${stream.audioPlaylist ? `
+- \`${stream.audioPlaylist}\`: Audio playlist file` : ''}${stream.subtitlePlaylists.map(uri => `
+- \`${uri}\`: WebVTT subtitle playlist file`).join('')}${stream.thumbnails ? `
+- \`${stream.thumbnails.track}\`: WebVTT seek preview track, pointing into the sprite sheets \`${THUMBNAIL_DIR}/${ctx.filePrefix}_sprite_*.jpg\`` : ''}${stream.dashManifest ? `
+- \`${stream.dashManifest}\`: DASH manifest (MPD) for DASH players, using the same segments` : ''}
+- ${segmentFiles}
+- \`player.html\`: Web player for HLS content${hlsPlayer === 'bundle' ? `
+- \`${HLS_JS_FILE}\`: hls.js, loaded by the player so it works without internet access` : ''}
+
+## How to Play
+
+### Option 1: Using the Built-in Preview Server (Recommended)
+1. Run: \`${previewCommand}\` (or add \`--serve\` when generating)
+2. Open the printed address (e.g. \`http://127.0.0.1:8080/\`) in your browser - it shows \`player.html\`
+3. Press Ctrl+C to stop the server
+
+### Option 2: Using VLC Media Player
+1. Open VLC Media Player
+2. Go to Media > Open File
+3. Select the \`${playlistFilename}\` file
+4. VLC will handle the HLS streaming
+
+### Option 3: Using a Full Web Server
+If you have access to a web server, upload all files maintaining the directory structure and access the player.html file through your domain.
+
+## Troubleshooting
+- If the player shows errors, check your browser's console for details
+- Ensure you're using a modern browser with HLS support
+- For local playback, a web server is required due to browser security restrictions
+
+Created with IELTS2GO Video Chunker - Empowering Your English Journey
+`;
+  
+  fs.writeFileSync(readmePath, readmeContent);
+  ctx.log.info(`Playback instructions created: ${readmePath}`);
+}
+
+/**
+ * Splits a video into chunks (fast or re-encode mode). Options use the CLI's long
+ * flag names in camelCase, e.g. { directory, length, encode, format, smart, jobs }.
+ * Resolves with the manifest also written to ielts2go_metadata.json.
+ */
+function chunk(inputFile, options = {}) {
+  return startTask(inputFile, options, 'chunk');
+}
+
+/**
+ * Converts a video to HLS, or to DASH plus HLS with { dash: true }. Takes the
+ * same options as chunk() plus the hls* ones, e.g. { hlsSegment, hlsLadder }.
+ */
+function toHLS(inputFile, options = {}) {
+  return startTask(inputFile, { ...options, hls: true }, 'hls');
+}
+
+module.exports = {
+  chunk,
+  toHLS,
+  probe: getVideoMetadata,
+  isHLSMode,
+  validateOptions,
+  defaultKeyDir,
+  normalizeExtension,
+  formatBytes,
+  DEFAULT_OPTIONS,
+  QUALITY_PRESETS,
+  VIDEO_CODECS,
+  VIDEO_EXTENSIONS,
+  AUDIO_EXTENSIONS,
+  version,
+  // Building blocks of a run, exported for the tests only; not part of the API
+  internals: {
+    createContext,
+    parseCsvLine,
+    readCueFile,
+    planSectionChunks,
+    planSnappedChunks,
+    parseSubtitles,
+    formatSubtitles,
+    writeChunkSubtitles,
+    writeHLSSubtitles,
+    parseRanges,
+    resolveSelection,
+    snapSelectionToKeyframes,
+    parseLadder,
+    codecsString,
+    removeHLSLadderFiles
+  }
+};
@@ -0,0 +1,147 @@
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+
+// Content types of the files an HLS or DASH output folder holds
+const MIME_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.m4s': 'video/iso.segment',
+  '.mp4': 'video/mp4',
+  '.mpd': 'application/dash+xml',
+  '.vtt': 'text/vtt; charset=utf-8',
+  '.key': 'application/octet-stream',
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+// Players on other origins (e.g. a course page under development) may fetch the stream
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+  'Access-Control-Allow-Headers': 'Range',
+  'Access-Control-Expose-Headers': 'Content-Length, Content-Range, Accept-Ranges'
+};
+
+/**
+ * Sends a plain text response
+ */
+function sendText(res, status, message, headers = {}) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'text/plain; charset=utf-8', ...headers });
+  res.end(`${message}\n`);
+}
+
+/**
+ * Parses a single "bytes=start-end" range against a file size. Returns null
+ * when the header asks for something else and false when it is unsatisfiable.
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  return start > end || start >= size ? false : { start, end };
+}
+
+/**
+ * Creates a static file server for a generated output folder, so player.html
+ * and the playlists can be opened in a browser without installing a web
+ * server. "/" serves player.html. Files are sent with the content type
+ * players expect, byte ranges are honoured and CORS headers allow players on
+ * other origins. Nothing outside the folder is ever served.
+ *
+ * Returns an http.Server (not yet listening).
+ */
+function createPreviewServer(dir) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new Error(`Output folder not found: "${dir}"`);
+  }
+  const root = fs.realpathSync(dir);
+
+  return http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendText(res, 405, 'Only GET and HEAD are supported', { Allow: 'GET, HEAD, OPTIONS' });
+      return;
+    }
+
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (err) {
+      sendText(res, 400, 'Malformed URL');
+      return;
+    }
+    if (pathname.endsWith('/')) {
+      pathname += 'player.html';
+    }
+
+    let filePath = path.join(root, path.normalize(pathname));
+    let stat;
+    try {
+      filePath = fs.realpathSync(filePath);
+      stat = fs.statSync(filePath);
+    } catch (err) {
+      sendText(res, 404, `Not found: ${pathname}`);
+      return;
+    }
+    // Symlinks may not lead out of the folder either
+    if ((filePath !== root && !filePath.startsWith(`${root}${path.sep}`)) || !stat.isFile()) {
+      sendText(res, 404, `Not found: ${pathname}`);
+      return;
+    }
+
+    const headers = {
+      ...CORS_HEADERS,
+      'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'Accept-Ranges': 'bytes',
+      'Last-Modified': stat.mtime.toUTCString(),
+      // Playlists and segments are rewritten by a new run, so the browser always asks again
+      'Cache-Control': 'no-cache'
+    };
+
+    const range = req.headers.range ? parseRange(req.headers.range, stat.size) : null;
+    if (range === false) {
+      sendText(res, 416, 'Range not satisfiable', { 'Content-Range': `bytes */${stat.size}` });
+      return;
+    }
+
+    const { start, end } = range || { start: 0, end: stat.size - 1 };
+    headers['Content-Length'] = stat.size === 0 ? 0 : end - start + 1;
+    if (range) {
+      headers['Content-Range'] = `bytes ${start}-${end}/${stat.size}`;
+    }
+    res.writeHead(range ? 206 : 200, headers);
+
+    if (req.method === 'HEAD' || stat.size === 0) {
+      res.end();
+      return;
+    }
+    fs.createReadStream(filePath, { start, end })
+      .on('error', () => res.destroy())
+      .pipe(res);
+  });
+}
+
+module.exports = {
+  createPreviewServer
+};
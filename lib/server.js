@@ -0,0 +1,390 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const { chunk, toHLS, isHLSMode, validateOptions, DEFAULT_OPTIONS, version } = require('./chunkify');
+
+// Largest request body accepted, in bytes
+const MAX_BODY = 1024 * 1024;
+
+// Log lines kept per job for GET /jobs/:id
+const LOG_LINES = 100;
+
+// Seconds between keep-alive comments on idle event streams
+const HEARTBEAT_SECONDS = 15;
+
+/**
+ * Error with the HTTP status it should be answered with
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Sends a JSON response
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(`${JSON.stringify(body, null, 2)}\n`);
+}
+
+/**
+ * Reads and parses a JSON request body. Only application/json is accepted:
+ * browsers can post form and plain text bodies to any site without asking.
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== 'application/json') {
+      req.resume();
+      reject(new HttpError(415, 'Request body must be sent as Content-Type: application/json'));
+      return;
+    }
+
+    let size = 0;
+    const parts = [];
+    const parse = () => {
+      const text = Buffer.concat(parts).toString('utf8');
+      try {
+        resolve(text.trim() ? JSON.parse(text) : {});
+      } catch (err) {
+        reject(new HttpError(400, `Request body is not valid JSON: ${err.message}`));
+      }
+    };
+    const collect = (data) => {
+      size += data.length;
+      if (size > MAX_BODY) {
+        // The rest is read and dropped; destroying the request would drop the 413 answer too
+        req.off('data', collect);
+        req.off('end', parse);
+        req.resume();
+        reject(new HttpError(413, 'Request body is too large'));
+        return;
+      }
+      parts.push(data);
+    };
+    req.on('data', collect);
+    req.on('end', parse);
+    req.on('error', reject);
+  });
+}
+
+/**
+ * True when the request comes from a web page on another origin. Only pages
+ * served by this server itself may change jobs; tools like curl send no Origin.
+ */
+function isForeignOrigin(req) {
+  const origin = req.headers.origin;
+  return origin !== undefined && origin !== `http://${req.headers.host}`;
+}
+
+/**
+ * Writes one Server-Sent Event
+ */
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Output files of a finished job as listed in its manifest, with absolute paths
+ */
+function jobOutputs(job) {
+  const files = job.manifest.chunks || job.manifest.files || [];
+  return files.map(output => ({ ...output, path: path.join(job.outputDir, output.file) }));
+}
+
+/**
+ * The public view of a job
+ */
+function describeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    input: job.input,
+    status: job.status,
+    outputDir: job.outputDir,
+    options: job.options,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    progress: job.progress,
+    error: job.error,
+    log: job.log
+  };
+}
+
+/**
+ * Creates the HTTP job server: chunk() and toHLS() jobs are submitted over
+ * REST, run at most `concurrency` at a time in submission order, and report
+ * their progress as JSON and as Server-Sent Events. Jobs without a directory
+ * option write to a folder named after the job in `outputDir`.
+ *
+ *   GET  /                   server info
+ *   GET  /jobs               all jobs
+ *   POST /jobs               submit { input, type: 'chunk' | 'hls', options }
+ *   GET  /jobs/:id           status, progress and recent log lines
+ *   POST /jobs/:id/cancel    cancel a queued or running job
+ *   GET  /jobs/:id/outputs   files written by a finished job
+ *   GET  /jobs/:id/events    event stream: status, log, progress, chunk
+ *
+ * Returns an http.Server (not yet listening) with a cancelAll() method. It
+ * emits 'job' with the public view of a job whenever a job changes status.
+ */
+function createJobServer({ concurrency = 1, outputDir = DEFAULT_OPTIONS.directory } = {}) {
+  const limit = Number(concurrency);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('--concurrency must be a whole number of 1 or more.');
+  }
+
+  const jobs = new Map();
+  const queue = [];
+  let running = 0;
+
+  const setStatus = (job, status, fields = {}) => {
+    Object.assign(job, { status }, fields);
+    job.events.emit('status', { id: job.id, status, error: job.error });
+    server.emit('job', describeJob(job));
+  };
+
+  const startNext = () => {
+    while (running < limit && queue.length > 0) {
+      const job = queue.shift();
+      running++;
+      runJob(job).finally(() => {
+        running--;
+        startNext();
+      });
+    }
+  };
+
+  const runJob = async (job) => {
+    const taskOptions = { ...job.options, directory: job.outputDir };
+    job.task = job.type === 'hls' ? toHLS(job.input, taskOptions) : chunk(job.input, taskOptions);
+    job.task
+      .on('log', (entry) => {
+        if (entry.level !== 'divider') {
+          job.log.push(entry);
+          job.log.splice(0, job.log.length - LOG_LINES);
+        }
+        job.events.emit('log', entry);
+      })
+      .on('progress', (progress) => {
+        job.progress = progress;
+        job.events.emit('progress', progress);
+      })
+      .on('chunk', data => job.events.emit('chunk', data));
+    setStatus(job, 'running', { startedAt: new Date().toISOString() });
+
+    try {
+      job.manifest = await job.task;
+      job.progress = { ...job.progress, percent: 100 };
+      setStatus(job, 'complete', { finishedAt: new Date().toISOString() });
+    } catch (error) {
+      if (job.status !== 'cancelled') {
+        setStatus(job, 'failed', { error: error.message.trim(), finishedAt: new Date().toISOString() });
+      }
+    }
+    job.task = null;
+  };
+
+  const createJob = async (body) => {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new HttpError(400, 'Request body must be a JSON object');
+    }
+    const { input, options = {} } = body;
+    if (typeof input !== 'string' || !input) {
+      throw new HttpError(400, '"input" must be the path of a video file on this machine');
+    }
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new HttpError(400, '"options" must be an object of chunk() or toHLS() options');
+    }
+    const type = body.type || (isHLSMode(options) ? 'hls' : 'chunk');
+    if (!['chunk', 'hls'].includes(type)) {
+      throw new HttpError(400, '"type" must be "chunk" or "hls"');
+    }
+    if (!fs.existsSync(input) || !fs.statSync(input).isFile()) {
+      throw new HttpError(400, `Input file not found: "${input}"`);
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const directory = path.resolve(options.directory || path.join(outputDir, id));
+    const busy = [...jobs.values()].find(job => job.outputDir === directory && ['queued', 'running'].includes(job.status));
+    if (busy) {
+      throw new HttpError(409, `Job ${busy.id} is already writing to ${directory}`);
+    }
+
+    try {
+      validateOptions({ ...options, directory, ...(type === 'hls' && { hls: true }) });
+      if (type === 'chunk' && isHLSMode(options)) {
+        throw new Error('HLS options need "type": "hls".');
+      }
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+
+    const job = {
+      id,
+      type,
+      input: path.resolve(input),
+      options,
+      outputDir: directory,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: null,
+      error: null,
+      log: [],
+      manifest: null,
+      task: null,
+      events: new EventEmitter()
+    };
+    job.events.setMaxListeners(0);
+    jobs.set(id, job);
+    server.emit('job', describeJob(job));
+    queue.push(job);
+    startNext();
+    return job;
+  };
+
+  const cancelJob = (job) => {
+    if (!['queued', 'running'].includes(job.status)) {
+      throw new HttpError(409, `Job ${job.id} is already ${job.status}`);
+    }
+    const index = queue.indexOf(job);
+    if (index !== -1) {
+      queue.splice(index, 1);
+    }
+    setStatus(job, 'cancelled', { finishedAt: new Date().toISOString() });
+    if (job.task) {
+      job.task.cancel();
+    }
+  };
+
+  const streamEvents = (req, res, job) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    writeEvent(res, 'status', { id: job.id, status: job.status, error: job.error });
+    if (job.progress) {
+      writeEvent(res, 'progress', job.progress);
+    }
+    if (!['queued', 'running'].includes(job.status)) {
+      res.end();
+      return;
+    }
+
+    const forward = (event) => (data) => writeEvent(res, event, data);
+    const listeners = {
+      log: forward('log'),
+      progress: forward('progress'),
+      chunk: forward('chunk'),
+      status: (data) => {
+        writeEvent(res, 'status', data);
+        if (!['queued', 'running'].includes(data.status)) {
+          close();
+        }
+      }
+    };
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_SECONDS * 1000);
+    const close = () => {
+      clearInterval(heartbeat);
+      Object.entries(listeners).forEach(([event, listener]) => job.events.off(event, listener));
+      res.end();
+    };
+    Object.entries(listeners).forEach(([event, listener]) => job.events.on(event, listener));
+    req.on('close', close);
+  };
+
+  const route = async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const parts = pathname.split('/').filter(Boolean);
+    const method = req.method;
+
+    if (method !== 'GET' && isForeignOrigin(req)) {
+      throw new HttpError(403, `Requests from ${req.headers.origin} are not allowed`);
+    }
+
+    if (parts.length === 0) {
+      if (method !== 'GET') throw new HttpError(405, 'Use GET /');
+      const counts = {};
+      jobs.forEach((job) => { counts[job.status] = (counts[job.status] || 0) + 1; });
+      sendJson(res, 200, { tool: 'IELTS2GO Video Chunker', version, concurrency: limit, jobs: counts });
+      return;
+    }
+    if (parts[0] !== 'jobs') {
+      throw new HttpError(404, `No such endpoint: ${pathname}`);
+    }
+
+    if (parts.length === 1) {
+      if (method === 'GET') {
+        sendJson(res, 200, [...jobs.values()].map(describeJob));
+      } else if (method === 'POST') {
+        const job = await createJob(await readJsonBody(req));
+        res.setHeader('Location', `/jobs/${job.id}`);
+        sendJson(res, 201, describeJob(job));
+      } else {
+        throw new HttpError(405, 'Use GET or POST /jobs');
+      }
+      return;
+    }
+
+    const job = jobs.get(parts[1]);
+    if (!job) {
+      throw new HttpError(404, `No such job: ${parts[1]}`);
+    }
+    const action = parts.slice(2).join('/');
+
+    if (action === '' && method === 'GET') {
+      sendJson(res, 200, describeJob(job));
+    } else if (action === 'cancel' && method === 'POST') {
+      cancelJob(job);
+      sendJson(res, 200, describeJob(job));
+    } else if (action === 'outputs' && method === 'GET') {
+      if (job.status !== 'complete') {
+        throw new HttpError(409, `Job ${job.id} is ${job.status}; outputs are listed once it is complete`);
+      }
+      sendJson(res, 200, { id: job.id, outputDir: job.outputDir, files: jobOutputs(job) });
+    } else if (action === 'events' && method === 'GET') {
+      streamEvents(req, res, job);
+    } else {
+      throw new HttpError(404, `No such endpoint: ${method} ${pathname}`);
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    route(req, res).catch((error) => {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      sendJson(res, error.status || 500, { error: error.message });
+    });
+  });
+
+  // Cancels every queued and running job, e.g. before the process exits.
+  // Returns the number of running jobs that were interrupted.
+  server.cancelAll = () => {
+    queue.splice(0).forEach(job => setStatus(job, 'cancelled', { finishedAt: new Date().toISOString() }));
+    let interrupted = 0;
+    jobs.forEach((job) => {
+      if (job.status === 'running') {
+        cancelJob(job);
+        interrupted++;
+      }
+    });
+    return interrupted;
+  };
+
+  return server;
+}
+
+module.exports = {
+  createJobServer
+};
@@ -0,0 +1,264 @@
+const { EventEmitter } = require('events');
+const path = require('path');
+const fs = require('fs');
+const { chunk, toHLS, isHLSMode, defaultKeyDir, DEFAULT_OPTIONS, VIDEO_EXTENSIONS, AUDIO_EXTENSIONS } = require('./chunkify');
+
+// Queue of a watched folder, kept inside it so a restart neither loses nor repeats a file
+const QUEUE_FILE = '.chunkify-queue.json';
+
+// Subfolders of the watched folder that sources are moved into once processed
+const DONE_DIR = 'done';
+const FAILED_DIR = 'failed';
+
+/**
+ * Reads the queue of a watched folder. Sources that were processing when the
+ * last watcher stopped are queued again; their jobs resume where they stopped.
+ */
+function readQueue(dir) {
+  const queuePath = path.join(dir, QUEUE_FILE);
+  if (!fs.existsSync(queuePath)) {
+    return { entries: [] };
+  }
+
+  let queue;
+  try {
+    queue = JSON.parse(fs.readFileSync(queuePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read the watch queue ${queuePath}: ${err.message}`);
+  }
+  if (!queue || !Array.isArray(queue.entries)) {
+    throw new Error(`${queuePath} is not a watch queue - move it away to start with an empty queue`);
+  }
+
+  queue.entries
+    .filter(entry => entry.status === 'processing')
+    .forEach((entry) => { entry.status = 'queued'; });
+  return queue;
+}
+
+/**
+ * Writes the queue through a temporary file so a crash never leaves it half written
+ */
+function saveQueue(dir, queue) {
+  const queuePath = path.join(dir, QUEUE_FILE);
+  queue.updatedAt = new Date().toISOString();
+  fs.writeFileSync(`${queuePath}.tmp`, JSON.stringify(queue, null, 2));
+  fs.renameSync(`${queuePath}.tmp`, queuePath);
+}
+
+/**
+ * Moves a processed source into a subfolder of the watched folder, adding a
+ * numeric suffix when a file of that name is already there
+ */
+function moveSource(dir, file, subdir) {
+  const targetDir = path.join(dir, subdir);
+  fs.mkdirSync(targetDir, { recursive: true });
+
+  const { name, ext } = path.parse(file);
+  let target = path.join(targetDir, file);
+  for (let n = 2; fs.existsSync(target); n++) {
+    target = path.join(targetDir, `${name}_${n}${ext}`);
+  }
+  fs.renameSync(path.join(dir, file), target);
+  return path.relative(dir, target);
+}
+
+/**
+ * Watches a folder and processes every new video or audio file in it, one at a
+ * time, with the given chunk()/toHLS() options (HLS options select toHLS()). A
+ * file is picked up once its size and modification time have not changed for
+ * stableTime seconds, so uploads still being written are left alone.
+ * Processed sources are moved to done/ or failed/, and each gets its own
+ * subfolder of the output directory.
+ *
+ * Returns an EventEmitter with stop(). Events: 'log' ({ level, message }),
+ * 'task' ({ file, outputDir, task }) when a source starts, 'done'
+ * ({ file, outputDir, manifest }) and 'failed' ({ file, error }).
+ */
+function watchFolder(dir, options = {}) {
+  const { interval = 5, stableTime = 10, ...taskOptions } = options;
+  const pollSeconds = Number(interval);
+  const stableSeconds = Number(stableTime);
+
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new Error(`Watch folder not found: "${dir}"`);
+  }
+  if (!(pollSeconds > 0) || !(stableSeconds >= 0)) {
+    throw new Error('--interval must be greater than 0 seconds and --stable-time 0 seconds or more.');
+  }
+
+  const watcher = new EventEmitter();
+  const queue = readQueue(dir);
+  // Queued entries keep absolute folders so a restart from another directory finds them
+  const baseOutputDir = path.resolve(taskOptions.directory || DEFAULT_OPTIONS.directory);
+  const encrypted = taskOptions.hlsEncrypt || taskOptions.hlsKeyFile !== undefined || taskOptions.hlsKeyRotate !== undefined;
+  // Files seen but not yet stable: name -> { size, mtimeMs, since }
+  const candidates = new Map();
+  let current = null;
+  let stopped = false;
+  let timer = null;
+
+  const emitLog = (level) => (message) => watcher.emit('log', { level, message });
+  const log = { info: emitLog('info'), success: emitLog('success'), warning: emitLog('warning'), error: emitLog('error') };
+
+  const isActive = (entry) => entry.status === 'queued' || entry.status === 'processing';
+
+  // Each source gets a folder of its own, never one used by an earlier source
+  const outputDirFor = (file) => {
+    const name = path.parse(file).name.replace(/[^\w.-]+/g, '_');
+    const used = new Set(queue.entries.map(entry => path.resolve(entry.outputDir)));
+    let candidate = path.join(baseOutputDir, name);
+    for (let n = 2; used.has(candidate) || fs.existsSync(candidate); n++) {
+      candidate = path.join(baseOutputDir, `${name}_${n}`);
+    }
+    return candidate;
+  };
+
+  const enqueue = (file, stat) => {
+    queue.entries.push({
+      file,
+      size: stat.size,
+      mtimeMs: stat.mtimeMs,
+      status: 'queued',
+      outputDir: outputDirFor(file),
+      queuedAt: new Date().toISOString()
+    });
+    saveQueue(dir, queue);
+    log.info(`Queued ${file}`);
+  };
+
+  const scan = () => {
+    const names = fs.readdirSync(dir).filter(name => !name.startsWith('.')
+      && [...VIDEO_EXTENSIONS, ...AUDIO_EXTENSIONS].includes(path.extname(name).slice(1).toLowerCase()));
+
+    for (const name of names) {
+      let stat;
+      try {
+        stat = fs.statSync(path.join(dir, name));
+      } catch (err) {
+        continue; // Removed between listing and stat
+      }
+      if (!stat.isFile()) continue;
+
+      // Already queued, or processed before but could not be moved away
+      const known = queue.entries.some(entry => entry.file === name
+        && (isActive(entry) || (entry.size === stat.size && entry.mtimeMs === stat.mtimeMs)));
+      if (known) continue;
+
+      const seen = candidates.get(name);
+      if (!seen || seen.size !== stat.size || seen.mtimeMs !== stat.mtimeMs) {
+        if (!seen) {
+          log.info(`Found ${name} - waiting until it is fully written`);
+        }
+        candidates.set(name, { size: stat.size, mtimeMs: stat.mtimeMs, since: Date.now() });
+      } else if (stat.size > 0 && Date.now() - seen.since >= stableSeconds * 1000) {
+        candidates.delete(name);
+        enqueue(name, stat);
+      }
+    }
+
+    for (const name of candidates.keys()) {
+      if (!names.includes(name)) candidates.delete(name);
+    }
+  };
+
+  const processNext = async () => {
+    if (current || stopped) return;
+    const entry = queue.entries.find(candidate => candidate.status === 'queued');
+    if (!entry) return;
+
+    const source = path.join(dir, entry.file);
+    if (!fs.existsSync(source)) {
+      entry.status = 'failed';
+      entry.error = 'The source was removed before it could be processed';
+      saveQueue(dir, queue);
+      log.warning(`${entry.file} was removed before it could be processed`);
+      processNext();
+      return;
+    }
+
+    // resume picks up the job of a source that was interrupted by a restart
+    const runOptions = { ...taskOptions, directory: entry.outputDir, resume: true };
+    if (encrypted) {
+      runOptions.hlsKeyDir = path.join(taskOptions.hlsKeyDir || defaultKeyDir(baseOutputDir), path.basename(entry.outputDir));
+    }
+
+    entry.status = 'processing';
+    entry.startedAt = new Date().toISOString();
+    saveQueue(dir, queue);
+
+    const task = isHLSMode(runOptions) ? toHLS(source, runOptions) : chunk(source, runOptions);
+    current = { entry, task };
+    watcher.emit('task', { file: entry.file, outputDir: entry.outputDir, task });
+
+    try {
+      const manifest = await task;
+      entry.status = 'done';
+      delete entry.error;
+      entry.movedTo = moveSource(dir, entry.file, DONE_DIR);
+      log.success(`${entry.file} done - moved to ${entry.movedTo}`);
+      watcher.emit('done', { file: entry.file, outputDir: entry.outputDir, manifest });
+    } catch (error) {
+      // stop() has already queued the source again
+      if (stopped) return;
+      entry.status = 'failed';
+      entry.error = error.message.trim();
+      try {
+        entry.movedTo = moveSource(dir, entry.file, FAILED_DIR);
+        log.error(`${entry.file} failed (${entry.error}) - moved to ${entry.movedTo}`);
+      } catch (moveError) {
+        log.error(`${entry.file} failed (${entry.error}) and could not be moved: ${moveError.message}`);
+      }
+      watcher.emit('failed', { file: entry.file, error });
+    } finally {
+      if (!stopped) {
+        entry.finishedAt = new Date().toISOString();
+        current = null;
+        saveQueue(dir, queue);
+      }
+    }
+
+    processNext();
+  };
+
+  const poll = () => {
+    try {
+      scan();
+    } catch (err) {
+      log.error(`Could not scan ${dir}: ${err.message}`);
+    }
+    processNext();
+  };
+
+  // Starts on the next tick so listeners attached right after the call see every event
+  process.nextTick(() => {
+    if (stopped) return;
+    const restored = queue.entries.filter(entry => entry.status === 'queued').length;
+    log.info(`Watching ${path.resolve(dir)} for new video and audio files${restored ? ` (${restored} queued from an earlier run)` : ''}`);
+    poll();
+    timer = setInterval(poll, pollSeconds * 1000);
+  });
+
+  // Stops watching and cancels the source being processed, which is queued again
+  // and resumed by the next watcher. Returns true when a source was interrupted.
+  watcher.stop = () => {
+    stopped = true;
+    clearInterval(timer);
+    if (!current) {
+      return false;
+    }
+    current.task.cancel();
+    current.entry.status = 'queued';
+    delete current.entry.startedAt;
+    saveQueue(dir, queue);
+    current = null;
+    return true;
+  };
+
+  return watcher;
+}
+
+module.exports = {
+  watchFolder,
+  QUEUE_FILE
+};
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { internals } = require('../lib/chunkify');
+
+const { planSnappedChunks } = internals;
+
+// Chunks of about 10 seconds
+const ctx = { chunkLength: 10 };
+const times = chunks => chunks.map(chunk => [chunk.start, chunk.end]);
+
+describe('planSnappedChunks on keyframes', () => {
+  it('moves every boundary to the nearest keyframe', () => {
+    const keyframes = [0, 3, 6, 9, 12, 15, 18, 21, 24, 27, 30];
+    const { chunks } = planSnappedChunks(ctx, [{ start: 0, end: 32 }], keyframes);
+    assert.deepStrictEqual(times(chunks), [[0, 9], [9, 18], [18, 27], [27, 32]]);
+  });
+
+  it('keeps a last chunk shorter than the chunk length as it is', () => {
+    const { chunks } = planSnappedChunks(ctx, [{ start: 0, end: 23 }], [0, 10, 20]);
+    assert.deepStrictEqual(times(chunks), [[0, 10], [10, 20], [20, 23]]);
+  });
+
+  it('runs the last chunk to the end when no keyframe follows', () => {
+    const { chunks } = planSnappedChunks(ctx, [{ start: 0, end: 40 }], [0, 11]);
+    assert.deepStrictEqual(times(chunks), [[0, 11], [11, 40]]);
+  });
+
+  it('never reuses a keyframe or cuts on the end of the range', () => {
+    const { chunks } = planSnappedChunks(ctx, [{ start: 0, end: 25 }], [0, 2, 25]);
+    assert.deepStrictEqual(times(chunks), [[0, 2], [2, 25]]);
+  });
+
+  it('lays out each selected range on its own', () => {
+    const keyframes = [0, 4, 8, 12, 16, 20, 24, 28, 32, 36, 40];
+    const { chunks } = planSnappedChunks(ctx, [{ start: 4, end: 16 }, { start: 24, end: 40 }], keyframes);
+    assert.deepStrictEqual(times(chunks), [[4, 12], [12, 16], [24, 32], [32, 40]]);
+  });
+});
+
+describe('planSnappedChunks on silences', () => {
+  it('moves boundaries into silence within the tolerance window only', () => {
+    const silences = [4.5, 19];
+    const { chunks, cutPoints } = planSnappedChunks(ctx, [{ start: 0, end: 30 }], silences, 2);
+    assert.deepStrictEqual(times(chunks), [[0, 10], [10, 19], [19, 29], [29, 30]]);
+    assert.deepStrictEqual(cutPoints, [
+      { nominal: 10, cut: 10, snapped: false },
+      { nominal: 20, cut: 19, snapped: true },
+      { nominal: 29, cut: 29, snapped: false }
+    ]);
+  });
+
+  it('prefers the silence nearest to the nominal time', () => {
+    const { cutPoints } = planSnappedChunks(ctx, [{ start: 0, end: 15 }], [8.5, 9.8, 11], 2);
+    assert.deepStrictEqual(cutPoints, [{ nominal: 10, cut: 9.8, snapped: true }]);
+  });
+
+  it('falls back to the nearest keyframe when no silence is in the window', () => {
+    const keyframesInSilence = [25];
+    const keyframes = [0, 8, 13, 16, 25];
+    const { chunks, cutPoints } = planSnappedChunks(ctx, [{ start: 0, end: 30 }], keyframesInSilence, 2, keyframes);
+    assert.deepStrictEqual(times(chunks), [[0, 8], [8, 16], [16, 25], [25, 30]]);
+    assert.deepStrictEqual(cutPoints.map(point => point.snapped), [false, false, true]);
+  });
+
+  it('keeps a last chunk shorter than the chunk length after a late silence', () => {
+    const { chunks } = planSnappedChunks(ctx, [{ start: 0, end: 21 }], [11.5], 2);
+    assert.deepStrictEqual(times(chunks), [[0, 11.5], [11.5, 21]]);
+
+    const { chunks: short } = planSnappedChunks(ctx, [{ start: 0, end: 20.5 }], [], 2);
+    assert.deepStrictEqual(times(short), [[0, 10], [10, 20], [20, 20.5]]);
+  });
+});
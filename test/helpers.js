@@ -0,0 +1,93 @@
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Starts a server on a free local port and resolves with its base URL
+ */
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+/**
+ * Sends one request and resolves with { status, headers, body }. The path is
+ * sent as given, so tests can send paths a URL parser would normalize away.
+ */
+function request(base, method, requestPath, { headers = {}, body } = {}) {
+  const { hostname, port } = new URL(base);
+  return new Promise((resolve, reject) => {
+    const req = http.request({ hostname, port, method, path: requestPath, headers }, (res) => {
+      const parts = [];
+      res.on('data', data => parts.push(data));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(parts) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Sends a JSON body and parses the JSON response
+ */
+async function requestJson(base, method, requestPath, body, headers = {}) {
+  const response = await request(base, method, requestPath, {
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { ...response, json: JSON.parse(response.body.toString('utf8')) };
+}
+
+/**
+ * Creates a temporary folder, removed again by the returned function
+ */
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chunkify-test-'));
+  return { dir, remove: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * A stand-in for the task chunk() and toHLS() return: a promise with on() and
+ * cancel() that the test settles itself with finish() or fail()
+ */
+function fakeTask() {
+  let finish;
+  let fail;
+  const promise = new Promise((resolve, reject) => {
+    finish = resolve;
+    fail = reject;
+  });
+  promise.catch(() => {});
+  const task = Object.assign(promise, {
+    finish,
+    fail,
+    cancelled: false,
+    on() {
+      return task;
+    },
+    cancel() {
+      task.cancelled = true;
+      fail(new Error('Cancelled'));
+      return true;
+    }
+  });
+  return task;
+}
+
+/**
+ * Resolves once pending promise callbacks and I/O have run
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+module.exports = {
+  listen,
+  request,
+  requestJson,
+  tempDir,
+  fakeTask,
+  settle
+};
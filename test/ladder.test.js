@@ -0,0 +1,109 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const { internals } = require('../lib/chunkify');
+const { tempDir } = require('./helpers');
+
+const { parseLadder, codecsString, removeHLSLadderFiles } = internals;
+
+describe('parseLadder', () => {
+  let temp;
+
+  before(() => {
+    temp = tempDir();
+  });
+
+  after(() => {
+    temp.remove();
+  });
+
+  /**
+   * Writes a ladder file and returns its path
+   */
+  const ladderFile = (name, content) => {
+    const file = path.join(temp.dir, name);
+    fs.writeFileSync(file, JSON.stringify(content));
+    return file;
+  };
+
+  it('reads heights highest first with default bitrates', () => {
+    assert.deepStrictEqual(parseLadder('480, 1080p,720'), [
+      { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 128 },
+      { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+      { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 96 }
+    ]);
+  });
+
+  it('takes defaults from the next table height up', () => {
+    assert.deepStrictEqual(parseLadder('540,4320').map(rung => rung.videoBitrate), [14000, 2800]);
+  });
+
+  it('reads a ladder file with its own bitrates', () => {
+    const file = ladderFile('ladder.json', { ladder: [{ height: 360, videoBitrate: '600k' }, { height: 720, videoBitrate: 2000, audioBitrate: 160 }] });
+    assert.deepStrictEqual(parseLadder(file), [
+      { name: '720p', height: 720, videoBitrate: 2000, audioBitrate: 160 },
+      { name: '360p', height: 360, videoBitrate: 600, audioBitrate: 96 }
+    ]);
+  });
+
+  const rejected = [
+    ['an empty rung', '720,,480', /rung 2: height must be a positive even number/],
+    ['a height that is not a number', '720,hd', /rung 2: height must be a positive even number/],
+    ['an odd height', '721', /rung 1: height must be a positive even number/],
+    ['a negative height', '-720', /rung 1: height must be a positive even number/],
+    ['a fractional height', '720.5', /rung 1: height must be a positive even number/],
+    ['the same height twice', '720,480,720p', /same height twice/]
+  ];
+
+  rejected.forEach(([name, value, message]) => {
+    it(`rejects ${name}`, () => {
+      assert.throws(() => parseLadder(value), message);
+    });
+  });
+
+  it('rejects ladder files with bad rungs', () => {
+    assert.throws(() => parseLadder(path.join(temp.dir, 'missing.json')), /Ladder file not found/);
+    assert.throws(() => parseLadder(ladderFile('empty.json', [])), /must contain an array of rungs/);
+    assert.throws(() => parseLadder(ladderFile('object.json', { rungs: [] })), /must contain an array of rungs/);
+    assert.throws(() => parseLadder(ladderFile('bitrate.json', [{ height: 720, videoBitrate: 'fast' }])), /rung 1: bitrates must be positive/);
+    assert.throws(() => parseLadder(ladderFile('zero.json', [{ height: 720, audioBitrate: 0 }])), /rung 1: bitrates must be positive/);
+    assert.throws(() => parseLadder(ladderFile('twice.json', [{ height: 480 }, { height: '480' }])), /same height twice/);
+  });
+});
+
+describe('codecsString', () => {
+  const codecs = [
+    ['H.264 High and AAC-LC', { videoCodec: 'h264', videoProfile: 'High', videoLevel: 40, audioCodec: 'aac' }, 'avc1.640028,mp4a.40.2'],
+    ['H.264 Main', { videoCodec: 'h264', videoProfile: 'Main', videoLevel: 31 }, 'avc1.4d401f'],
+    ['H.264 Constrained Baseline', { videoCodec: 'h264', videoProfile: 'Constrained Baseline', videoLevel: 30 }, 'avc1.42e01e'],
+    ['an unknown profile and level', { videoCodec: 'h264', videoProfile: 'Unknown', videoLevel: -99 }, 'avc1.64001f'],
+    ['HE-AAC', { audioCodec: 'aac', audioProfile: 'HE-AAC' }, 'mp4a.40.5'],
+    ['MP3', { videoCodec: 'h264', videoProfile: 'High', videoLevel: 41, audioCodec: 'mp3' }, 'avc1.640029,mp4a.40.34'],
+    ['codecs without an RFC 6381 string', { videoCodec: 'hevc', audioCodec: 'opus' }, null]
+  ];
+
+  codecs.forEach(([name, probe, expected]) => {
+    it(`describes ${name}`, () => {
+      assert.strictEqual(codecsString(probe), expected);
+    });
+  });
+});
+
+describe('removeHLSLadderFiles', () => {
+  it('removes what a failed ladder encode wrote and nothing else', () => {
+    const temp = tempDir();
+    const files = [
+      'talk_720p.m3u8', 'talk_720p_000.ts', 'talk_720p_001.ts', 'talk_480p.m3u8', 'talk_480p_init.mp4',
+      'talk_480p_000.m4s', 'talk.m3u8', 'talk_000.ts', 'talk_subtitles_en.m3u8', 'other_720p.m3u8', 'talk_360p.m3u8'
+    ];
+    files.forEach(file => fs.writeFileSync(path.join(temp.dir, file), ''));
+
+    removeHLSLadderFiles({ filePrefix: 'talk' }, parseLadder('720,480'), temp.dir);
+
+    assert.deepStrictEqual(fs.readdirSync(temp.dir).sort(), [
+      'other_720p.m3u8', 'talk.m3u8', 'talk_000.ts', 'talk_360p.m3u8', 'talk_subtitles_en.m3u8'
+    ]);
+    temp.remove();
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const { createPreviewServer } = require('../lib/preview');
+const { listen, request, tempDir } = require('./helpers');
+
+describe('preview server', () => {
+  let temp;
+  let server;
+  let base;
+
+  before(async () => {
+    temp = tempDir();
+    const output = path.join(temp.dir, 'output');
+    fs.mkdirSync(path.join(output, 'hls'), { recursive: true });
+    fs.writeFileSync(path.join(output, 'player.html'), '<!DOCTYPE html>');
+    fs.writeFileSync(path.join(output, 'hls', 'segment_000.ts'), Buffer.from([...Array(100).keys()]));
+    fs.writeFileSync(path.join(temp.dir, 'secret.key'), 'secret');
+    fs.symlinkSync(path.join(temp.dir, 'secret.key'), path.join(output, 'link.key'));
+
+    server = createPreviewServer(output);
+    base = await listen(server);
+  });
+
+  after(() => {
+    server.close();
+    temp.remove();
+  });
+
+  it('serves player.html for the folder itself', async () => {
+    const response = await request(base, 'GET', '/');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers['content-type'], 'text/html; charset=utf-8');
+    assert.strictEqual(response.body.toString(), '<!DOCTYPE html>');
+  });
+
+  it('serves whole files with the type players expect', async () => {
+    const response = await request(base, 'GET', '/hls/segment_000.ts');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers['content-type'], 'video/mp2t');
+    assert.strictEqual(response.headers['accept-ranges'], 'bytes');
+    assert.strictEqual(response.body.length, 100);
+  });
+
+  it('serves byte ranges', async () => {
+    const response = await request(base, 'GET', '/hls/segment_000.ts', { headers: { Range: 'bytes=10-19' } });
+    assert.strictEqual(response.status, 206);
+    assert.strictEqual(response.headers['content-range'], 'bytes 10-19/100');
+    assert.deepStrictEqual([...response.body], [10, 11, 12, 13, 14, 15, 16, 17, 18, 19]);
+
+    const open = await request(base, 'GET', '/hls/segment_000.ts', { headers: { Range: 'bytes=95-' } });
+    assert.strictEqual(open.headers['content-range'], 'bytes 95-99/100');
+    assert.strictEqual(open.body.length, 5);
+
+    const suffix = await request(base, 'GET', '/hls/segment_000.ts', { headers: { Range: 'bytes=-3' } });
+    assert.strictEqual(suffix.headers['content-range'], 'bytes 97-99/100');
+    assert.deepStrictEqual([...suffix.body], [97, 98, 99]);
+  });
+
+  it('answers ranges outside the file with 416', async () => {
+    const response = await request(base, 'GET', '/hls/segment_000.ts', { headers: { Range: 'bytes=100-120' } });
+    assert.strictEqual(response.status, 416);
+    assert.strictEqual(response.headers['content-range'], 'bytes */100');
+
+    const backwards = await request(base, 'GET', '/hls/segment_000.ts', { headers: { Range: 'bytes=20-10' } });
+    assert.strictEqual(backwards.status, 416);
+  });
+
+  it('never serves files outside the folder', async () => {
+    for (const requestPath of ['/../secret.key', '/hls/../../secret.key', '/%2e%2e/secret.key', '/..%2fsecret.key', '/link.key']) {
+      const response = await request(base, 'GET', requestPath);
+      assert.strictEqual(response.status, 404, requestPath);
+      assert.notStrictEqual(response.body.toString(), 'secret', requestPath);
+    }
+  });
+
+  it('only answers GET, HEAD and OPTIONS', async () => {
+    const response = await request(base, 'POST', '/player.html');
+    assert.strictEqual(response.status, 405);
+  });
+
+  it('refuses a folder that does not exist', () => {
+    assert.throws(() => createPreviewServer(path.join(temp.dir, 'missing')), /Output folder not found/);
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const path = require('path');
+const fs = require('fs');
+const { internals } = require('../lib/chunkify');
+const { tempDir } = require('./helpers');
+
+const { createContext, parseCsvLine, readCueFile, planSectionChunks } = internals;
+
+describe('parseCsvLine', () => {
+  const lines = [
+    ['plain fields', '0,90,Intro', ['0', '90', 'Intro']],
+    ['empty fields', '0,,', ['0', '', '']],
+    ['a quoted comma', '0,90,"Reading, part 1"', ['0', '90', 'Reading, part 1']],
+    ['doubled quotes', '0,90,"The ""long"" answer"', ['0', '90', 'The "long" answer']],
+    ['spaces around fields', ' 1:30 , 2:00 , Listening ', ['1:30', '2:00', 'Listening']]
+  ];
+
+  lines.forEach(([name, line, fields]) => {
+    it(`splits ${name}`, () => {
+      assert.deepStrictEqual(parseCsvLine(line), fields);
+    });
+  });
+});
+
+describe('planSectionChunks', () => {
+  let temp;
+  let input;
+
+  before(() => {
+    temp = tempDir();
+    input = path.join(temp.dir, 'lecture.mp4');
+    fs.writeFileSync(input, 'video');
+  });
+
+  after(() => temp.remove());
+
+  /**
+   * Plans the sections of a 300 second source for chunk() options
+   */
+  const plan = (options, metadata = {}) => {
+    const ctx = createContext(input, options, new EventEmitter(), 'chunk');
+    return planSectionChunks(ctx, [{ start: 0, end: 300 }], { duration: 300, chapters: [], ...metadata });
+  };
+
+  /**
+   * Writes a cue file into the temporary folder and returns its path
+   */
+  const cueFile = (name, content) => {
+    const file = path.join(temp.dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  const times = chunks => chunks.map(chunk => [chunk.start, chunk.end]);
+
+  it('takes a number as splitAt from the library API', () => {
+    const chunks = plan({ splitAt: 90 });
+    assert.deepStrictEqual(times(chunks), [[0, 90], [90, 300]]);
+  });
+
+  it('sorts timestamps and drops duplicate cuts', () => {
+    const chunks = plan({ splitAt: '3:00,1:30,90,0:01:30,60' });
+    assert.deepStrictEqual(times(chunks), [[0, 60], [60, 90], [90, 180], [180, 300]]);
+  });
+
+  it('drops cuts at or past the end of the source', () => {
+    const chunks = plan({ splitAt: '120,300,400' });
+    assert.deepStrictEqual(times(chunks), [[0, 120], [120, 300]]);
+  });
+
+  it('uses chapter markers with their titles', () => {
+    const chapters = [
+      { start: 100, end: 300, title: 'Speaking' },
+      { start: 0, end: 100, title: 'Listening' }
+    ];
+    const chunks = plan({ chapters: true }, { chapters });
+    assert.deepStrictEqual(chunks.map(chunk => [chunk.start, chunk.end, chunk.title]), [[0, 100, 'Listening'], [100, 300, 'Speaking']]);
+  });
+
+  it('throws for a source without chapters', () => {
+    assert.throws(() => plan({ chapters: true }), /The source file has no chapter markers/);
+  });
+
+  it('reads a CSV cue file with a header and quoted titles', () => {
+    const file = cueFile('cues.csv', [
+      'start,end,title',
+      '2:00,,"Part 2, the long turn"',
+      '0,,"The ""warm-up"" questions"',
+      '4:00,4:30,Wrap-up',
+      '6:00,,Past the end'
+    ].join('\n'));
+
+    assert.deepStrictEqual(readCueFile(file), [
+      { start: 120, end: undefined, title: 'Part 2, the long turn' },
+      { start: 0, end: undefined, title: 'The "warm-up" questions' },
+      { start: 240, end: 270, title: 'Wrap-up' },
+      { start: 360, end: undefined, title: 'Past the end' }
+    ]);
+
+    const chunks = plan({ cueFile: file });
+    assert.deepStrictEqual(chunks.map(chunk => [chunk.start, chunk.end, chunk.title]), [
+      [0, 120, 'The "warm-up" questions'],
+      [120, 240, 'Part 2, the long turn'],
+      [240, 270, 'Wrap-up']
+    ]);
+  });
+
+  it('reads a JSON cue file', () => {
+    const file = cueFile('cues.json', JSON.stringify({ sections: [{ start: '1:00', title: 'Task 1' }, { start: 0 }] }));
+    assert.deepStrictEqual(times(plan({ cueFile: file })), [[0, 60], [60, 300]]);
+  });
+
+  it('rejects a cue file with an invalid time', () => {
+    const file = cueFile('broken.csv', '0,,Intro\nsoon,,Later');
+    assert.throws(() => readCueFile(file), /Invalid time in cue file .*, section 2/);
+  });
+
+  it('cuts sections to the selected ranges', () => {
+    const ctx = createContext(input, { splitAt: '100,200' }, new EventEmitter(), 'chunk');
+    const ranges = [{ start: 50, end: 150 }, { start: 250, end: 280 }];
+    const chunks = planSectionChunks(ctx, ranges, { duration: 300, chapters: [] });
+    assert.deepStrictEqual(times(chunks), [[50, 100], [100, 150], [250, 280]]);
+  });
+});
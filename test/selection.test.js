@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { internals } = require('../lib/chunkify');
+
+const { parseRanges, resolveSelection, snapSelectionToKeyframes } = internals;
+
+/**
+ * A run context with the given options that collects its warnings
+ */
+const context = (options) => {
+  const warnings = [];
+  return { options, warnings, log: { warning: message => warnings.push(message) } };
+};
+
+// A 10 minute source
+const metadata = { duration: 600 };
+const spans = selection => selection.ranges.map(range => [range.start, range.end, range.outputStart]);
+
+describe('parseRanges', () => {
+  const parsed = [
+    ['one range', '10-20', [{ start: 10, end: 20 }]],
+    ['clock times', '1:00-1:30.5,01:02:00-01:03:00', [{ start: 60, end: 90.5 }, { start: 3720, end: 3780 }]],
+    ['spaces around ranges', ' 10 - 20 , 30-40 ', [{ start: 10, end: 20 }, { start: 30, end: 40 }]],
+    ['ranges out of order', '30-40,10-20', [{ start: 30, end: 40 }, { start: 10, end: 20 }]]
+  ];
+
+  parsed.forEach(([name, value, ranges]) => {
+    it(`reads ${name}`, () => {
+      assert.deepStrictEqual(parseRanges(value), ranges);
+    });
+  });
+
+  ['20-10', '10-10', '10', '10-', 'a-b', '10-20;30-40', '1:75-2:00'].forEach((value) => {
+    it(`rejects "${value}"`, () => {
+      assert.throws(() => parseRanges(value), /Invalid --exclude range/);
+    });
+  });
+});
+
+describe('resolveSelection', () => {
+  it('uses the whole source without --start, --end or --exclude', () => {
+    assert.strictEqual(resolveSelection(context({}), metadata), null);
+  });
+
+  const selections = [
+    ['--start only', { start: '1:00' }, [[60, 600, 0]], 540],
+    ['--end only', { end: 120 }, [[0, 120, 0]], 120],
+    ['--start and --end', { start: 30, end: '2:00' }, [[30, 120, 0]], 90],
+    ['a removed section', { exclude: '100-200' }, [[0, 100, 0], [200, 600, 100]], 500],
+    ['removed sections out of order', { exclude: '300-400,100-200' }, [[0, 100, 0], [200, 300, 100], [400, 600, 200]], 400],
+    ['overlapping removed sections', { exclude: '100-200,150-250' }, [[0, 100, 0], [250, 600, 100]], 450],
+    ['a removed section inside another', { exclude: '100-300,150-200' }, [[0, 100, 0], [300, 600, 100]], 400],
+    ['removed sections outside --start and --end', { start: 100, end: 200, exclude: '0-50,150-160,250-300' }, [[100, 150, 0], [160, 200, 50]], 90],
+    ['a removed section across --start', { start: 100, exclude: '50-150' }, [[150, 600, 0]], 450],
+    ['a removed section at the very end', { exclude: '500-600' }, [[0, 500, 0]], 500]
+  ];
+
+  selections.forEach(([name, options, ranges, duration]) => {
+    it(`keeps the right ranges for ${name}`, () => {
+      const selection = resolveSelection(context(options), metadata);
+      assert.deepStrictEqual(spans(selection), ranges);
+      assert.strictEqual(selection.duration, duration);
+    });
+  });
+
+  it('stops --end at the end of the source with a warning', () => {
+    const ctx = context({ start: 500, end: 700 });
+    assert.deepStrictEqual(spans(resolveSelection(ctx, metadata)), [[500, 600, 0]]);
+    assert.match(ctx.warnings[0], /--end 700 is past the end of the source/);
+  });
+
+  const rejected = [
+    ['--start past the end', { start: 600 }, /--start 600 is past the end of the source/],
+    ['removing everything', { start: 100, end: 200, exclude: '90-150,140-210' }, /Nothing is left to process/]
+  ];
+
+  rejected.forEach(([name, options, message]) => {
+    it(`rejects ${name}`, () => {
+      assert.throws(() => resolveSelection(context(options), metadata), message);
+    });
+  });
+});
+
+describe('snapSelectionToKeyframes', () => {
+  const keyframes = [0, 4, 8, 12, 16, 20];
+
+  it('starts every range on the next keyframe and places the ranges again', () => {
+    const ctx = context({ start: 3, end: 17, exclude: '8-10' });
+    ctx.selection = resolveSelection(ctx, { duration: 20 });
+    snapSelectionToKeyframes(ctx, keyframes);
+    assert.deepStrictEqual(spans(ctx.selection), [[4, 8, 0], [12, 17, 4]]);
+    assert.strictEqual(ctx.selection.duration, 9);
+    assert.strictEqual(ctx.warnings.length, 2);
+  });
+
+  it('leaves out a range without a keyframe', () => {
+    const ctx = context({ exclude: '1-13' });
+    ctx.selection = resolveSelection(ctx, { duration: 14 });
+    snapSelectionToKeyframes(ctx, [0, 12]);
+    assert.deepStrictEqual(spans(ctx.selection), [[0, 1, 0]]);
+    assert.match(ctx.warnings[0], /No keyframe between 00:00:13.000 and 00:00:14.000/);
+  });
+
+  it('throws when no range has a keyframe', () => {
+    const ctx = context({ start: 5, end: 7 });
+    ctx.selection = resolveSelection(ctx, { duration: 20 });
+    assert.throws(() => snapSelectionToKeyframes(ctx, keyframes), /No keyframe inside the selected part of the source/);
+  });
+});
@@ -0,0 +1,158 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const chunkify = require('../lib/chunkify');
+const { listen, request, requestJson, tempDir, fakeTask, settle } = require('./helpers');
+
+// Jobs run fake tasks the tests finish themselves; the server picks chunk() up when it is required
+const tasks = [];
+mock.method(chunkify, 'chunk', () => {
+  const task = fakeTask();
+  tasks.push(task);
+  return task;
+});
+const { createJobServer } = require('../lib/server');
+
+describe('job server', () => {
+  let temp;
+  let input;
+  let server;
+  let base;
+
+  before(async () => {
+    temp = tempDir();
+    input = path.join(temp.dir, 'lecture.mp4');
+    fs.writeFileSync(input, 'video');
+    server = createJobServer({ concurrency: 1, outputDir: path.join(temp.dir, 'out') });
+    base = await listen(server);
+  });
+
+  after(() => {
+    server.close();
+    temp.remove();
+  });
+
+  it('runs a submitted job and queues the next one behind it', async () => {
+    const first = await requestJson(base, 'POST', '/jobs', { input, options: { length: 30 } });
+    assert.strictEqual(first.status, 201);
+    assert.strictEqual(first.headers.location, `/jobs/${first.json.id}`);
+    assert.strictEqual(first.json.status, 'running');
+    assert.strictEqual(first.json.outputDir, path.join(temp.dir, 'out', first.json.id));
+
+    const [calledInput, calledOptions] = chunkify.chunk.mock.calls.at(-1).arguments;
+    assert.strictEqual(calledInput, input);
+    assert.strictEqual(calledOptions.length, 30);
+    assert.strictEqual(calledOptions.directory, first.json.outputDir);
+
+    const second = await requestJson(base, 'POST', '/jobs', { input });
+    assert.strictEqual(second.status, 201);
+    assert.strictEqual(second.json.status, 'queued');
+
+    const status = await requestJson(base, 'GET', `/jobs/${second.json.id}`);
+    assert.strictEqual(status.json.status, 'queued');
+
+    // Neither job is complete, so neither has outputs yet
+    for (const job of [first.json, second.json]) {
+      const outputs = await requestJson(base, 'GET', `/jobs/${job.id}/outputs`);
+      assert.strictEqual(outputs.status, 409);
+      assert.match(outputs.json.error, /outputs are listed once it is complete/);
+    }
+
+    const cancelQueued = await requestJson(base, 'POST', `/jobs/${second.json.id}/cancel`);
+    assert.strictEqual(cancelQueued.status, 200);
+    assert.strictEqual(cancelQueued.json.status, 'cancelled');
+
+    const cancelAgain = await requestJson(base, 'POST', `/jobs/${second.json.id}/cancel`);
+    assert.strictEqual(cancelAgain.status, 409);
+
+    const cancelRunning = await requestJson(base, 'POST', `/jobs/${first.json.id}/cancel`);
+    assert.strictEqual(cancelRunning.status, 200);
+    assert.strictEqual(cancelRunning.json.status, 'cancelled');
+    assert.strictEqual(tasks.at(-1).cancelled, true);
+  });
+
+  it('lists the outputs of a complete job', async () => {
+    await settle();
+    const submitted = await requestJson(base, 'POST', '/jobs', { input });
+    assert.strictEqual(submitted.json.status, 'running');
+
+    tasks.at(-1).finish({ chunks: [{ file: 'ielts2go_chunk_001.mp4', size: 5 }] });
+    await settle();
+
+    const status = await requestJson(base, 'GET', `/jobs/${submitted.json.id}`);
+    assert.strictEqual(status.json.status, 'complete');
+    const outputs = await requestJson(base, 'GET', `/jobs/${submitted.json.id}/outputs`);
+    assert.strictEqual(outputs.status, 200);
+    assert.deepStrictEqual(outputs.json.files, [{
+      file: 'ielts2go_chunk_001.mp4',
+      size: 5,
+      path: path.join(submitted.json.outputDir, 'ielts2go_chunk_001.mp4')
+    }]);
+  });
+
+  it('rejects a second active job writing to the same directory', async () => {
+    const directory = path.join(temp.dir, 'shared');
+    const first = await requestJson(base, 'POST', '/jobs', { input, options: { directory } });
+    assert.strictEqual(first.status, 201);
+
+    const second = await requestJson(base, 'POST', '/jobs', { input, options: { directory } });
+    assert.strictEqual(second.status, 409);
+    assert.match(second.json.error, /already writing to/);
+
+    await requestJson(base, 'POST', `/jobs/${first.json.id}/cancel`);
+    await settle();
+  });
+
+  it('rejects bodies that are too large', async () => {
+    const response = await requestJson(base, 'POST', '/jobs', { input, padding: 'x'.repeat(1024 * 1024) });
+    assert.strictEqual(response.status, 413);
+  });
+
+  it('rejects bodies that are not JSON', async () => {
+    const response = await request(base, 'POST', '/jobs', {
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"input": '
+    });
+    assert.strictEqual(response.status, 400);
+    assert.match(JSON.parse(response.body).error, /not valid JSON/);
+  });
+
+  it('rejects bodies not sent as application/json', async () => {
+    const response = await request(base, 'POST', '/jobs', {
+      headers: { 'Content-Type': 'text/plain' },
+      body: JSON.stringify({ input })
+    });
+    assert.strictEqual(response.status, 415);
+  });
+
+  it('rejects requests from pages on other origins', async () => {
+    const response = await requestJson(base, 'POST', '/jobs', { input }, { Origin: 'http://example.com' });
+    assert.strictEqual(response.status, 403);
+
+    const sameOrigin = await requestJson(base, 'POST', '/jobs', { input: path.join(temp.dir, 'missing.mp4') }, { Origin: base });
+    assert.strictEqual(sameOrigin.status, 400);
+  });
+
+  it('rejects missing inputs and invalid options before anything runs', async () => {
+    const calls = chunkify.chunk.mock.callCount();
+
+    const missing = await requestJson(base, 'POST', '/jobs', { input: path.join(temp.dir, 'missing.mp4') });
+    assert.strictEqual(missing.status, 400);
+    assert.match(missing.json.error, /Input file not found/);
+
+    const invalid = await requestJson(base, 'POST', '/jobs', { input, options: { length: 0 } });
+    assert.strictEqual(invalid.status, 400);
+    assert.match(invalid.json.error, /Chunk length must be greater than 0/);
+
+    const wrongType = await requestJson(base, 'POST', '/jobs', { input, type: 'zip' });
+    assert.strictEqual(wrongType.status, 400);
+
+    assert.strictEqual(chunkify.chunk.mock.callCount(), calls);
+  });
+
+  it('answers unknown jobs and endpoints with 404', async () => {
+    assert.strictEqual((await requestJson(base, 'GET', '/jobs/unknown')).status, 404);
+    assert.strictEqual((await requestJson(base, 'GET', '/nothing')).status, 404);
+  });
+});
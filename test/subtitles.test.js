@@ -0,0 +1,182 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const { internals } = require('../lib/chunkify');
+const { tempDir } = require('./helpers');
+
+const { parseSubtitles, formatSubtitles, writeChunkSubtitles, writeHLSSubtitles } = internals;
+
+const SRT = [
+  '\uFEFF1',
+  '00:00:01,000 --> 00:00:03,500',
+  'Good morning.',
+  '',
+  '2',
+  '00:00:09,000 --> 00:00:12,000',
+  'Today we practise',
+  'part two.',
+  '',
+  '3',
+  '00:00:05,000 --> 00:00:05,000',
+  'Empty cue',
+  ''
+].join('\r\n');
+
+const VTT = [
+  'WEBVTT',
+  '',
+  'NOTE written by hand',
+  '',
+  'STYLE',
+  '::cue { color: yellow }',
+  '',
+  'intro',
+  '00:04.250 --> 00:06.000 align:start position:10%',
+  'Listen carefully.',
+  '',
+  '01:02:03.004 --> 01:02:05.000',
+  'Late cue'
+].join('\n');
+
+const cue = (start, end, text) => ({ start, end, text });
+
+describe('parseSubtitles', () => {
+  it('reads SubRip cues, dropping empty ones', () => {
+    assert.deepStrictEqual(parseSubtitles(SRT, 'lecture.srt'), [
+      cue(1, 3.5, 'Good morning.'),
+      cue(9, 12, 'Today we practise\npart two.')
+    ]);
+  });
+
+  it('reads WebVTT cues without headers, notes, styles or cue settings', () => {
+    assert.deepStrictEqual(parseSubtitles(VTT, 'lecture.vtt'), [
+      cue(4.25, 6, 'Listen carefully.'),
+      cue(3723.004, 3725, 'Late cue')
+    ]);
+  });
+
+  it('sorts cues by start time', () => {
+    const text = '00:00:10.000 --> 00:00:11.000\nSecond\n\n00:00:02.000 --> 00:00:03.000\nFirst\n';
+    assert.deepStrictEqual(parseSubtitles(text, 'x.vtt').map(entry => entry.text), ['First', 'Second']);
+  });
+
+  it('rejects a cue with an unreadable time', () => {
+    assert.throws(() => parseSubtitles('1\n00:00:01,000 --> soon\nHello\n', 'broken.srt'), /Invalid cue timing in broken.srt/);
+  });
+});
+
+describe('formatSubtitles', () => {
+  const cues = [cue(1, 3.5, 'Good morning.'), cue(3723.004, 3725, 'Late cue')];
+
+  it('writes numbered SubRip blocks', () => {
+    assert.strictEqual(formatSubtitles(cues, 'srt'),
+      '1\n00:00:01,000 --> 00:00:03,500\nGood morning.\n\n2\n01:02:03,004 --> 01:02:05,000\nLate cue\n');
+  });
+
+  it('writes WebVTT with extra header lines', () => {
+    assert.strictEqual(formatSubtitles(cues.slice(0, 1), 'vtt', ['X-TIMESTAMP-MAP=MPEGTS:126000,LOCAL:00:00:00.000']),
+      'WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:126000,LOCAL:00:00:00.000\n\n00:00:01.000 --> 00:00:03.500\nGood morning.\n');
+  });
+
+  it('reads back what it writes', () => {
+    assert.deepStrictEqual(parseSubtitles(formatSubtitles(cues, 'srt'), 'x.srt'), cues);
+    assert.deepStrictEqual(parseSubtitles(formatSubtitles(cues, 'vtt'), 'x.vtt'), cues);
+  });
+});
+
+describe('subtitle output', () => {
+  let temp;
+
+  beforeEach(() => {
+    temp = tempDir();
+  });
+
+  afterEach(() => temp.remove());
+
+  /**
+   * A run context holding one subtitle track, writing into the temporary folder
+   */
+  const context = (fields = {}) => ({
+    outputDir: temp.dir,
+    filePrefix: 'lecture',
+    options: { hlsSegment: '4', hlsType: 'vod' },
+    subtitleTracks: [{ label: 'en', name: 'English', language: 'en', format: 'srt', cues: [cue(1, 3, 'One'), cue(9, 12, 'Two')] }],
+    selection: null,
+    composition: null,
+    currentJob: {},
+    log: { success: () => {}, info: () => {}, warning: () => {} },
+    ...fields
+  });
+
+  it('shifts cues to each chunk and writes no file for a chunk without cues', () => {
+    const chunks = [
+      { file: 'lecture_001.mp4', start: 0, end: 10 },
+      { file: 'lecture_002.mp4', start: 10, end: 20 },
+      { file: 'lecture_003.mp4', start: 20, end: 30 }
+    ];
+    fs.writeFileSync(path.join(temp.dir, 'lecture_003.srt'), 'stale');
+
+    writeChunkSubtitles(context(), chunks);
+
+    assert.deepStrictEqual(chunks.map(chunk => chunk.subtitles), [
+      [{ file: 'lecture_001.srt', language: 'en', name: 'English' }],
+      [{ file: 'lecture_002.srt', language: 'en', name: 'English' }],
+      []
+    ]);
+    assert.deepStrictEqual(parseSubtitles(fs.readFileSync(path.join(temp.dir, 'lecture_001.srt'), 'utf8'), 'x.srt'),
+      [cue(1, 3, 'One'), cue(9, 10, 'Two')]);
+    assert.deepStrictEqual(parseSubtitles(fs.readFileSync(path.join(temp.dir, 'lecture_002.srt'), 'utf8'), 'x.srt'),
+      [cue(0, 2, 'Two')]);
+    assert.ok(!fs.existsSync(path.join(temp.dir, 'lecture_003.srt')));
+  });
+
+  it('delays chunk cues by the intro', () => {
+    const chunks = [{ file: 'lecture_001.mp4', start: 0, end: 10 }];
+    writeChunkSubtitles(context({ composition: { intro: { duration: 5 } } }), chunks);
+    const cues = parseSubtitles(fs.readFileSync(path.join(temp.dir, 'lecture_001.srt'), 'utf8'), 'x.srt');
+    assert.deepStrictEqual(cues, [cue(6, 8, 'One'), cue(14, 15, 'Two')]);
+  });
+
+  it('writes a segmented WebVTT playlist for HLS', () => {
+    const variant = { playlist: path.join(temp.dir, 'lecture.m3u8'), duration: 10, startTime: 1.4 };
+    const [track] = writeHLSSubtitles(context(), variant);
+
+    assert.deepStrictEqual(track, {
+      name: 'English',
+      language: 'en',
+      playlist: path.join(temp.dir, 'lecture_subtitles_en.m3u8'),
+      segments: 3
+    });
+    assert.strictEqual(fs.readFileSync(track.playlist, 'utf8'), [
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      '#EXT-X-TARGETDURATION:4',
+      '#EXT-X-MEDIA-SEQUENCE:0',
+      '#EXT-X-PLAYLIST-TYPE:VOD',
+      '#EXTINF:4.000,',
+      'lecture_subtitles_en_000.vtt',
+      '#EXTINF:4.000,',
+      'lecture_subtitles_en_001.vtt',
+      '#EXTINF:2.000,',
+      'lecture_subtitles_en_002.vtt',
+      '#EXT-X-ENDLIST',
+      ''
+    ].join('\n'));
+
+    // Cues go into every segment they overlap, and cue time zero is the start of the first media segment
+    const segment = file => fs.readFileSync(path.join(temp.dir, file), 'utf8');
+    assert.match(segment('lecture_subtitles_en_000.vtt'), /^WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:126000,LOCAL:00:00:00.000\n\n00:00:01.000 --> 00:00:03.000\nOne\n$/);
+    assert.deepStrictEqual(parseSubtitles(segment('lecture_subtitles_en_002.vtt'), 'x.vtt'), [cue(9, 12, 'Two')]);
+    assert.deepStrictEqual(parseSubtitles(segment('lecture_subtitles_en_001.vtt'), 'x.vtt'), []);
+  });
+
+  it('moves HLS cues onto the selected ranges', () => {
+    const selection = { ranges: [{ start: 0, end: 2, outputStart: 0 }, { start: 10, end: 20, outputStart: 2 }], duration: 12 };
+    const variant = { playlist: path.join(temp.dir, 'lecture.m3u8'), duration: 12, startTime: 0 };
+    writeHLSSubtitles(context({ selection }), variant);
+
+    const cues = [0, 1, 2].flatMap(i => parseSubtitles(fs.readFileSync(path.join(temp.dir, `lecture_subtitles_en_00${i}.vtt`), 'utf8'), 'x.vtt'));
+    assert.deepStrictEqual(cues, [cue(1, 2, 'One'), cue(2, 4, 'Two')]);
+  });
+});
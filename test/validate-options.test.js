@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { validateOptions, defaultKeyDir } = require('../lib/chunkify');
+
+describe('validateOptions', () => {
+  it('accepts the defaults', () => {
+    assert.doesNotThrow(() => validateOptions({}));
+  });
+
+  const rejected = [
+    ['a chunk length of 0', { length: 0 }, /Chunk length must be greater than 0/],
+    ['two processing modes', { fast: true, encode: true }, /Choose only one processing mode: --fast, --encode/],
+    ['--format outside re-encode mode', { fast: true, format: 'mkv' }, /--format only applies to re-encode mode/],
+    ['a fractional job count', { jobs: 1.5 }, /--jobs must be a whole number/],
+    ['two ways to place boundaries', { smart: true, chapters: true }, /Choose only one way to place chunk boundaries: --chapters, --smart/],
+    ['encryption without --hls', { hlsEncrypt: true }, /HLS encryption options need --hls/],
+    ['key rotation without a {key} URI', { hls: true, hlsKeyRotate: 5, hlsKeyUri: 'https://keys.example.com/key' }, /needs a \{key\} placeholder/],
+    ['a key directory inside the output', { hls: true, directory: 'out', hlsKeyDir: 'out/keys' }, /must be outside the output directory/],
+    ['a default key directory inside the output', { hls: true, hlsEncrypt: true, directory: path.parse(process.cwd()).root }, /must be outside the output directory .* --hls-key-dir/],
+    ['an unknown HLS segment type', { hls: true, hlsSegmentType: 'webm' }, /Invalid --hls-segment-type/],
+    ['--dash with MPEG-TS segments', { dash: true, hlsSegmentType: 'mpegts' }, /--dash always writes fMP4/],
+    ['--dash with encryption', { dash: true, hlsEncrypt: true }, /not available with --dash/],
+    ['an unknown HLS player source', { hls: true, hlsPlayer: 'iframe' }, /Invalid --hls-player/],
+    ['--audio-bitrate without --audio', { audioBitrate: 128 }, /need --audio/],
+    ['an unknown audio format', { audio: true, audioFormat: 'flac' }, /Invalid --audio-format/],
+    ['--loudnorm without re-encoding', { fast: true, loudnorm: true }, /needs --audio or --encode/],
+    ['a loudness target out of range', { audio: true, loudnorm: true, loudnessTarget: 0 }, /--loudness-target must be between -70 and -5/],
+    ['--thumbnails with --audio', { audio: true, thumbnails: true }, /--thumbnails needs video/],
+    ['video settings outside re-encode mode', { crf: 23 }, /--crf applies to re-encode mode only/],
+    ['--crf with --video-bitrate', { encode: true, crf: 23, videoBitrate: 2500 }, /either --crf .* or --video-bitrate/],
+    ['--bufsize without --maxrate', { encode: true, bufsize: 5000 }, /needs --maxrate/],
+    ['a codec the container cannot hold', { encode: true, videoCodec: 'vp9', format: 'avi' }, /cannot be written to \.avi files/],
+    ['watermark settings without --watermark', { encode: true, watermarkOpacity: 0.5 }, /need --watermark/]
+  ];
+
+  rejected.forEach(([name, options, message]) => {
+    it(`rejects ${name}`, () => {
+      assert.throws(() => validateOptions(options), message);
+    });
+  });
+
+  it('keeps the default key directory next to the output directory', () => {
+    for (const directory of ['out', 'out/', '.']) {
+      assert.strictEqual(defaultKeyDir(directory), `${path.resolve(directory)}_keys`);
+      assert.doesNotThrow(() => validateOptions({ hls: true, hlsEncrypt: true, directory }));
+    }
+  });
+});
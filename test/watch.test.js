@@ -0,0 +1,97 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const chunkify = require('../lib/chunkify');
+const { tempDir, fakeTask } = require('./helpers');
+
+// Sources run as fake tasks the tests finish themselves; the watcher picks chunk() up when it is required
+const tasks = [];
+mock.method(chunkify, 'chunk', () => {
+  const task = fakeTask();
+  tasks.push(task);
+  return task;
+});
+const { watchFolder, QUEUE_FILE } = require('../lib/watch');
+
+/**
+ * Resolves with the arguments of the first `event` the watcher emits
+ */
+function once(watcher, event) {
+  return new Promise(resolve => watcher.once(event, resolve));
+}
+
+describe('watch folder', () => {
+  let temp;
+  let inbox;
+  let output;
+  let watcher;
+
+  beforeEach(() => {
+    temp = tempDir();
+    inbox = path.join(temp.dir, 'inbox');
+    output = path.join(temp.dir, 'output');
+    fs.mkdirSync(inbox);
+  });
+
+  afterEach(() => {
+    if (watcher) watcher.stop();
+    watcher = null;
+    temp.remove();
+  });
+
+  it('resumes a source that was processing when the last watcher stopped', async () => {
+    fs.writeFileSync(path.join(inbox, 'lecture.mp4'), 'video');
+    const outputDir = path.join(output, 'lecture');
+    fs.writeFileSync(path.join(inbox, QUEUE_FILE), JSON.stringify({
+      entries: [
+        { file: 'lecture.mp4', size: 5, mtimeMs: 1, status: 'processing', outputDir, startedAt: '2024-01-01T00:00:00.000Z' },
+        { file: 'earlier.mp4', size: 5, mtimeMs: 1, status: 'done', outputDir: path.join(output, 'earlier'), movedTo: 'done/earlier.mp4' }
+      ]
+    }));
+
+    const logs = [];
+    watcher = watchFolder(inbox, { directory: output, interval: 60, stableTime: 0 });
+    watcher.on('log', entry => logs.push(entry.message));
+    const started = await once(watcher, 'task');
+
+    assert.strictEqual(started.file, 'lecture.mp4');
+    assert.strictEqual(started.outputDir, outputDir);
+    assert.ok(logs.some(message => message.includes('(1 queued from an earlier run)')));
+    const [input, options] = chunkify.chunk.mock.calls.at(-1).arguments;
+    assert.strictEqual(input, path.join(inbox, 'lecture.mp4'));
+    assert.strictEqual(options.directory, outputDir);
+    assert.strictEqual(options.resume, true);
+
+    // Stopping queues the source again for the next watcher
+    assert.strictEqual(watcher.stop(), true);
+    watcher = null;
+    assert.strictEqual(tasks.at(-1).cancelled, true);
+    const queue = JSON.parse(fs.readFileSync(path.join(inbox, QUEUE_FILE), 'utf8'));
+    assert.deepStrictEqual(queue.entries.map(entry => entry.status), ['queued', 'done']);
+  });
+
+  it('queues new sources into their own absolute output folder and moves them to done/', async () => {
+    fs.writeFileSync(path.join(inbox, 'talk.mp4'), 'video');
+    fs.mkdirSync(path.join(output, 'talk'), { recursive: true });
+
+    const relativeOutput = path.relative(process.cwd(), output);
+    watcher = watchFolder(inbox, { directory: relativeOutput, interval: 0.02, stableTime: 0 });
+    const started = await once(watcher, 'task');
+    assert.strictEqual(started.outputDir, path.join(output, 'talk_2'));
+
+    const done = once(watcher, 'done');
+    tasks.at(-1).finish({ chunks: [] });
+    await done;
+
+    const queue = JSON.parse(fs.readFileSync(path.join(inbox, QUEUE_FILE), 'utf8'));
+    assert.strictEqual(queue.entries[0].status, 'done');
+    assert.strictEqual(queue.entries[0].outputDir, path.join(output, 'talk_2'));
+    assert.ok(fs.existsSync(path.join(inbox, 'done', 'talk.mp4')));
+  });
+
+  it('refuses a queue file it cannot read', () => {
+    fs.writeFileSync(path.join(inbox, QUEUE_FILE), '{"entries": 1}');
+    assert.throws(() => watchFolder(inbox, { directory: output }), /is not a watch queue/);
+  });
+});